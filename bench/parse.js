@@ -0,0 +1,92 @@
+(function () {
+  "use strict";
+  var fs = require("fs");
+  var path = require("path");
+  var platform = require("../platform");
+  var devices = require("../platform.devices");
+  var lineCount = 20000;
+  var seed = 1;
+  function each(array, callback) {
+    for (var index = 0; index < array.length; index++) {
+      callback(array[index], index);
+    }
+  }
+  function getCorpus() {
+    var result = [], seen = {};
+    function add(ua) {
+      if (!seen["$" + ua]) {
+        seen["$" + ua] = true;
+        result.push(ua);
+      }
+    }
+    each(fs.readFileSync(path.join(__dirname, "..", "user-agents.txt"), "utf8").split("\n"), function (line) {
+      line = line.slice(line.indexOf("]: ") + 3).trim();
+      line && add(line);
+    });
+    each(devices.products.concat(devices.manufacturers), function (guess) {
+      add("Mozilla/5.0 (Linux; Android 12; " + guess.pattern + ") AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Mobile Safari/537.36");
+    });
+    return result;
+  }
+  function getLines(corpus) {
+    var result = [];
+    while (result.length < lineCount) {
+      seed = (seed * 16807) % 2147483647;
+      result.push(corpus[Math.floor(Math.pow(seed / 2147483647, 3) * corpus.length)]);
+    }
+    return result;
+  }
+  function main() {
+    var corpus = getCorpus(), lines = getLines(corpus), rows = [], expected = [], mismatches = 0, baseline;
+    if (process.argv[2]) {
+      baseline = require(path.resolve(process.argv[2]));
+      try {
+        require(path.join(path.dirname(path.resolve(process.argv[2])), "platform.devices"));
+      } catch (error) {}
+    }
+    each(corpus, function (ua) {
+      expected.push(serialize((baseline || platform).parse(ua)));
+    });
+    platform.cache(lineCount);
+    each([1, 2], function () {
+      each(corpus, function (ua, index) {
+        if (serialize(platform.parse(ua)) != expected[index]) {
+          mismatches++ < 5 && console.error("mismatch: " + ua);
+        }
+      });
+    });
+    platform.cache(0);
+    if (baseline) {
+      rows.push(["baseline", time(baseline, lines)]);
+    }
+    rows.push(["current", time(platform, lines)]);
+    platform.cache(10000);
+    rows.push(["current + cache(10000)", time(platform, lines)]);
+    platform.cache(0);
+    console.log(lines.length + " lines, " + corpus.length + " distinct User-Agents");
+    each(rows, function (row) {
+      console.log(pad(row[0], 24) + pad(row[1].toFixed(0) + " ms", 10) + pad(Math.round(lines.length / row[1] * 1e3) + " /s", 12) + (rows[0][1] / row[1]).toFixed(1) + "x");
+    });
+    console.log(mismatches ? mismatches + " results differ" : "results identical" + (baseline ? " to baseline" : " with and without cache"));
+    process.exitCode = mismatches ? 1 : 0;
+  }
+  function pad(string, length) {
+    while (string.length < length) {
+      string += " ";
+    }
+    return string;
+  }
+  function serialize(result) {
+    var os = result.os || {};
+    return JSON.stringify([String(result), result.name, result.version, result.layout, result.prerelease, result.product, result.manufacturer, os.family, os.version, os.architecture]);
+  }
+  function time(parser, lines) {
+    var start = process.hrtime();
+    each(lines, function (ua) {
+      parser.parse(ua);
+    });
+    var elapsed = process.hrtime(start);
+    return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+  }
+  main();
+}.call(this));
@@ -0,0 +1,889 @@
+(function () {
+  "use strict";
+  var objectTypes = {function: true, object: true};
+  var root = (objectTypes[typeof window] && window) || this;
+  var freeExports = objectTypes[typeof exports] && exports;
+  var freeModule = objectTypes[typeof module] && module && !module.nodeType && module;
+  var devices = {
+    manufacturers: [
+      {label: "Asus", pattern: "ASUS_I003D"},
+      {label: "Asus", pattern: "ASUS_I005D"},
+      {label: "Asus", pattern: "ASUS_I005DA"},
+      {label: "Asus", pattern: "ASUS_I01WD"},
+      {label: "Asus", pattern: "ASUS_I002D"},
+      {label: "Asus", pattern: "ASUS_I006D"},
+      {label: "Asus", pattern: "ASUS_I004D"},
+      {label: "Asus", pattern: "ASUS_AI2202"},
+      {label: "Infinix", pattern: "Infinix X670"},
+      {label: "LG", pattern: "LM-V600"},
+      {label: "LG", pattern: "LM-G900"},
+      {label: "Motorola", pattern: "motorola edge"},
+      {label: "Motorola", pattern: "motorola edge 20"},
+      {label: "Motorola", pattern: "motorola edge 20 lite"},
+      {label: "Motorola", pattern: "motorola edge 20 pro"},
+      {label: "Motorola", pattern: "motorola edge 30"},
+      {label: "Motorola", pattern: "moto g(8)"},
+      {label: "Motorola", pattern: "moto g(8) power"},
+      {label: "Motorola", pattern: "moto g(9) play"},
+      {label: "Motorola", pattern: "moto g stylus"},
+      {label: "Motorola", pattern: "moto g pro"},
+      {label: "Motorola", pattern: "moto"},
+      {label: "Motorola", pattern: "moto g200 5G"},
+      {label: "Motorola", pattern: "moto g22"},
+      {label: "Motorola", pattern: "moto g(30)"},
+      {label: "Motorola", pattern: "moto g(50)"},
+      {label: "Motorola", pattern: "moto g(50) 5G"},
+      {label: "Motorola", pattern: "moto g52"},
+      {label: "Motorola", pattern: "moto g(60)"},
+      {label: "Motorola", pattern: "moto g62 5G"},
+      {label: "Motorola", pattern: "moto g71 5G"},
+      {label: "Motorola", pattern: "motorola one 5G UW ace"},
+      {label: "Motorola", pattern: "motorola one action"},
+      {label: "Nokia", pattern: "Nokia 2.4"},
+      {label: "Nokia", pattern: "Nokia 3.2"},
+      {label: "Nokia", pattern: "Nokia 3.4"},
+      {label: "Nokia", pattern: "Nokia 4.2"},
+      {label: "Nokia", pattern: "Nokia 5.4"},
+      {label: "Nokia", pattern: "Nokia 8.3 5G"},
+      {label: "Nokia", pattern: "Nokia 8.3 5G"},
+      {label: "Nokia", pattern: "Nokia G10"},
+      {label: "Nokia", pattern: "Nokia G20"},
+      {label: "Nokia", pattern: "Nokia G50"},
+      {label: "Nokia", pattern: "Nokia X10"},
+      {label: "Nokia", pattern: "Nokia X20"},
+      {label: "Nokia", pattern: "Nokia XR20"},
+      {label: "OnePlus", pattern: "NE2213"},
+      {label: "OnePlus", pattern: "NE2215"},
+      {label: "OnePlus", pattern: "CPH2415"},
+      {label: "OnePlus", pattern: "CPH2449"},
+      {label: "OnePlus", pattern: "GM1903"},
+      {label: "OnePlus", pattern: "GM1900"},
+      {label: "OnePlus", pattern: "GM1917"},
+      {label: "OnePlus", pattern: "GM1913"},
+      {label: "OnePlus", pattern: "GM1910"},
+      {label: "OnePlus", pattern: "HD1903"},
+      {label: "OnePlus", pattern: "HD1900"},
+      {label: "OnePlus", pattern: "HD1913"},
+      {label: "OnePlus", pattern: "HD1910"},
+      {label: "OnePlus", pattern: "IN2013"},
+      {label: "OnePlus", pattern: "IN2011"},
+      {label: "OnePlus", pattern: "IN2010"},
+      {label: "OnePlus", pattern: "IN2023"},
+      {label: "OnePlus", pattern: "IN2025"},
+      {label: "OnePlus", pattern: "IN2020"},
+      {label: "OnePlus", pattern: "KB2005"},
+      {label: "OnePlus", pattern: "KB2003"},
+      {label: "OnePlus", pattern: "KB2001"},
+      {label: "OnePlus", pattern: "KB2000"},
+      {label: "OnePlus", pattern: "LE2115"},
+      {label: "OnePlus", pattern: "LE2113"},
+      {label: "OnePlus", pattern: "LE2111"},
+      {label: "OnePlus", pattern: "LE2125"},
+      {label: "OnePlus", pattern: "LE2123"},
+      {label: "OnePlus", pattern: "LE2121"},
+      {label: "OnePlus", pattern: "LE2101"},
+      {label: "OnePlus", pattern: "AC2003"},
+      {label: "OnePlus", pattern: "AC2001"},
+      {label: "OnePlus", pattern: "DN2103"},
+      {label: "OnePlus", pattern: "DN2101"},
+      {label: "OnePlus", pattern: "CPH2399"},
+      {label: "OnePlus", pattern: "CPH2409"},
+      {label: "OnePlus", pattern: "EB2103"},
+      {label: "Oppo", pattern: "CPH2269"},
+      {label: "Oppo", pattern: "CPH2271"},
+      {label: "Oppo", pattern: "CPH2069"},
+      {label: "Oppo", pattern: "CPH2127"},
+      {label: "Oppo", pattern: "CPH2135"},
+      {label: "Oppo", pattern: "CPH2195"},
+      {label: "Oppo", pattern: "CPH2273"},
+      {label: "Oppo", pattern: "CPH2067"},
+      {label: "Oppo", pattern: "CPH2161"},
+      {label: "Oppo", pattern: "CPH2197"},
+      {label: "Oppo", pattern: "CPH2375"},
+      {label: "Oppo", pattern: "CPH2339"},
+      {label: "Oppo", pattern: "CPH1941"},
+      {label: "Oppo", pattern: "CPH2021"},
+      {label: "Oppo", pattern: "CPH2203"},
+      {label: "Oppo", pattern: "CPH2211"},
+      {label: "Oppo", pattern: "CPH2365"},
+      {label: "Oppo", pattern: "CPH2333"},
+      {label: "Oppo", pattern: "CPH2095"},
+      {label: "Oppo", pattern: "CPH2119"},
+      {label: "Oppo", pattern: "CPH2219"},
+      {label: "Oppo", pattern: "CPH2285"},
+      {label: "Oppo", pattern: "CPH2461"},
+      {label: "Oppo", pattern: "CPH2363"},
+      {label: "Oppo", pattern: "CPH2005"},
+      {label: "Oppo", pattern: "CPH2009"},
+      {label: "Oppo", pattern: "CPH2025"},
+      {label: "Oppo", pattern: "CPH2145"},
+      {label: "Oppo", pattern: "CPH2207"},
+      {label: "Oppo", pattern: "CPH2173"},
+      {label: "Oppo", pattern: "CPH2307"},
+      {label: "Oppo", pattern: "CPH2305"},
+      {label: "Oppo", pattern: "CPH2373"},
+      {label: "Oppo", pattern: "CPH2337"},
+      {label: "Oppo", pattern: "CPH1917"},
+      {label: "Oppo", pattern: "CPH1907"},
+      {label: "Oppo", pattern: "CPH1951"},
+      {label: "Oppo", pattern: "CPH2043"},
+      {label: "Oppo", pattern: "CPH2113"},
+      {label: "Oppo", pattern: "CPH2091"},
+      {label: "Oppo", pattern: "CPH2125"},
+      {label: "Oppo", pattern: "CPH2109"},
+      {label: "Oppo", pattern: "CPH2089"},
+      {label: "Oppo", pattern: "CPH2065"},
+      {label: "Oppo", pattern: "CPH2159"},
+      {label: "Oppo", pattern: "CPH2145"},
+      {label: "Oppo", pattern: "CPH2205"},
+      {label: "Oppo", pattern: "CPH2251"},
+      {label: "Oppo", pattern: "CPH2247"},
+      {label: "Oppo", pattern: "CPH2237"},
+      {label: "Oppo", pattern: "CPH2363"},
+      {label: "Oppo", pattern: "CPH2371"},
+      {label: "Oppo", pattern: "CPH2293"},
+      {label: "Oppo", pattern: "CPH2343"},
+      {label: "Oppo", pattern: "CPH2359"},
+      {label: "Oppo", pattern: "CPH2357"},
+      {label: "Google", pattern: "Pixel 3"},
+      {label: "Google", pattern: "Pixel 3 XL"},
+      {label: "Google", pattern: "Pixel 3a"},
+      {label: "Google", pattern: "Pixel 3a XL"},
+      {label: "Google", pattern: "Pixel 4"},
+      {label: "Google", pattern: "Pixel 4 XL"},
+      {label: "Google", pattern: "Pixel 4a"},
+      {label: "Google", pattern: "Pixel 4a (5G)"},
+      {label: "Google", pattern: "Pixel 5"},
+      {label: "Google", pattern: "Pixel 5a"},
+      {label: "Google", pattern: "Pixel 6"},
+      {label: "Google", pattern: "Pixel 6 Pro"},
+      {label: "Google", pattern: "Pixel 6a"},
+      {label: "Google", pattern: "Pixel 7"},
+      {label: "Google", pattern: "Pixel 7 Pro"},
+      {label: "Realme", pattern: "RMX2001"},
+      {label: "Realme", pattern: "RMX2063"},
+      {label: "Realme", pattern: "RMX2111"},
+      {label: "Realme", pattern: "RMX2170"},
+      {label: "Realme", pattern: "RMX3085"},
+      {label: "Realme", pattern: "RMX3241"},
+      {label: "Realme", pattern: "RMX3081"},
+      {label: "Realme", pattern: "RMX3151"},
+      {label: "Realme", pattern: "RMX3521"},
+      {label: "Realme", pattern: "RMX3472"},
+      {label: "Realme", pattern: "RMX3393"},
+      {label: "Realme", pattern: "RMX3392"},
+      {label: "Realme", pattern: "RMX3201"},
+      {label: "Realme", pattern: "RMX3191"},
+      {label: "Realme", pattern: "RMX3195"},
+      {label: "Realme", pattern: "RMX2202"},
+      {label: "Realme", pattern: "RMX3363"},
+      {label: "Realme", pattern: "RMX3360"},
+      {label: "Realme", pattern: "RMX3561"},
+      {label: "Realme", pattern: "RMX3563"},
+      {label: "Realme", pattern: "RMX3370"},
+      {label: "Realme", pattern: "RMX3311"},
+      {label: "Realme", pattern: "RMX3301"},
+      {label: "Realme", pattern: "RMX3242"},
+      {label: "Realme", pattern: "RMX3572"},
+      {label: "Realme", pattern: "RMX1931"},
+      {label: "Realme", pattern: "RMX2075"},
+      {label: "Realme", pattern: "RMX2121"},
+      {label: "Samsung", pattern: "SM-A025F"},
+      {label: "Samsung", pattern: "SM-A035F"},
+      {label: "Samsung", pattern: "SM-A037F"},
+      {label: "Samsung", pattern: "SM-A037G"},
+      {label: "Samsung", pattern: "SM-A047F"},
+      {label: "Samsung", pattern: "SM-A125F"},
+      {label: "Samsung", pattern: "SM-A127F"},
+      {label: "Samsung", pattern: "SM-A135F"},
+      {label: "Samsung", pattern: "SM-A136B"},
+      {label: "Samsung", pattern: "SM-A136U"},
+      {label: "Samsung", pattern: "SM-A137F"},
+      {label: "Samsung", pattern: "SM-A146U"},
+      {label: "Samsung", pattern: "SM-A217F"},
+      {label: "Samsung", pattern: "SM-A225F"},
+      {label: "Samsung", pattern: "SM-A226B"},
+      {label: "Samsung", pattern: "SM-A235F"},
+      {label: "Samsung", pattern: "SM-A235M"},
+      {label: "Samsung", pattern: "SM-A236B"},
+      {label: "Samsung", pattern: "SM-A315F"},
+      {label: "Samsung", pattern: "SM-A325F"},
+      {label: "Samsung", pattern: "SM-A326B"},
+      {label: "Samsung", pattern: "SM-A336B"},
+      {label: "Samsung", pattern: "SM-A405FN"},
+      {label: "Samsung", pattern: "SM-A415F"},
+      {label: "Samsung", pattern: "SM-A426B"},
+      {label: "Samsung", pattern: "SM-A515F"},
+      {label: "Samsung", pattern: "SM-A516B"},
+      {label: "Samsung", pattern: "SM-A525F"},
+      {label: "Samsung", pattern: "SM-A526B"},
+      {label: "Samsung", pattern: "SM-A528B"},
+      {label: "Samsung", pattern: "SM-A536B"},
+      {label: "Samsung", pattern: "SM-A705FN"},
+      {label: "Samsung", pattern: "SM-A715F"},
+      {label: "Samsung", pattern: "SM-A725F"},
+      {label: "Samsung", pattern: "SM-A736B"},
+      {label: "Samsung", pattern: "SM-A908B"},
+      {label: "Samsung", pattern: "SM-E135F"},
+      {label: "Samsung", pattern: "SM-E225F"},
+      {label: "Samsung", pattern: "SM-E236B"},
+      {label: "Samsung", pattern: "SM-E625F"},
+      {label: "Samsung", pattern: "SM-M115F"},
+      {label: "Samsung", pattern: "SM-M127F"},
+      {label: "Samsung", pattern: "SM-M135F"},
+      {label: "Samsung", pattern: "SM-M215F"},
+      {label: "Samsung", pattern: "SM-F415F"},
+      {label: "Samsung", pattern: "SM-M225FV"},
+      {label: "Samsung", pattern: "SM-M236B"},
+      {label: "Samsung", pattern: "SM-M315F"},
+      {label: "Samsung", pattern: "SM-M317F"},
+      {label: "Samsung", pattern: "SM-M325F"},
+      {label: "Samsung", pattern: "SM-M325FV"},
+      {label: "Samsung", pattern: "SM-M336B"},
+      {label: "Samsung", pattern: "SM-M515F"},
+      {label: "Samsung", pattern: "SM-M526B"},
+      {label: "Samsung", pattern: "SM-M536B"},
+      {label: "Samsung", pattern: "SM-M625F"},
+      {label: "Samsung", pattern: "SM-N970F"},
+      {label: "Samsung", pattern: "SM-N975F"},
+      {label: "Samsung", pattern: "SM-N976B"},
+      {label: "Samsung", pattern: "SM-N970F"},
+      {label: "Samsung", pattern: "SM-N971U"},
+      {label: "Samsung", pattern: "SM-N770F"},
+      {label: "Samsung", pattern: "SM-N975F"},
+      {label: "Samsung", pattern: "SM-N976B"},
+      {label: "Samsung", pattern: "SM-N980F"},
+      {label: "Samsung", pattern: "SM-N981B"},
+      {label: "Samsung", pattern: "SM-N985F"},
+      {label: "Samsung", pattern: "SM-N986B"},
+      {label: "Samsung", pattern: "SM-G973F"},
+      {label: "Samsung", pattern: "SM-G977B"},
+      {label: "Samsung", pattern: "SM-G770F"},
+      {label: "Samsung", pattern: "SM-G975F"},
+      {label: "Samsung", pattern: "SM-G970F"},
+      {label: "Samsung", pattern: "SM-G980F"},
+      {label: "Samsung", pattern: "SM-G981B"},
+      {label: "Samsung", pattern: "SM-G780F"},
+      {label: "Samsung", pattern: "SM-G781B"},
+      {label: "Samsung", pattern: "SM-G988B"},
+      {label: "Samsung", pattern: "SM-G988B"},
+      {label: "Samsung", pattern: "SM-G985F"},
+      {label: "Samsung", pattern: "SM-G986B"},
+      {label: "Samsung", pattern: "SM-G991B"},
+      {label: "Samsung", pattern: "SM-G990B"},
+      {label: "Samsung", pattern: "SM-G998B"},
+      {label: "Samsung", pattern: "SM-G996B"},
+      {label: "Samsung", pattern: "SM-S901B"},
+      {label: "Samsung", pattern: "SM-S908B"},
+      {label: "Samsung", pattern: "SM-S906B"},
+      {label: "Samsung", pattern: "SM-S911B"},
+      {label: "Samsung", pattern: "SM-S918B"},
+      {label: "Samsung", pattern: "SM-S916B"},
+      {label: "Samsung", pattern: "SM-T515"},
+      {label: "Samsung", pattern: "SM-T510"},
+      {label: "Samsung", pattern: "SM-P205"},
+      {label: "Samsung", pattern: "SM-P200"},
+      {label: "Samsung", pattern: "SM-T295"},
+      {label: "Samsung", pattern: "SM-T290"},
+      {label: "Samsung", pattern: "SM-T307U"},
+      {label: "Samsung", pattern: "SM-T505"},
+      {label: "Samsung", pattern: "SM-T500"},
+      {label: "Samsung", pattern: "SM-T225"},
+      {label: "Samsung", pattern: "SM-T220"},
+      {label: "Samsung", pattern: "SM-X205"},
+      {label: "Samsung", pattern: "SM-X200"},
+      {label: "Samsung", pattern: "SM-T575"},
+      {label: "Samsung", pattern: "SM-T725"},
+      {label: "Samsung", pattern: "SM-T720"},
+      {label: "Samsung", pattern: "SM-P619"},
+      {label: "Samsung", pattern: "SM-P613"},
+      {label: "Samsung", pattern: "SM-P615"},
+      {label: "Samsung", pattern: "SM-P610"},
+      {label: "Samsung", pattern: "SM-T865"},
+      {label: "Samsung", pattern: "SM-T860"},
+      {label: "Samsung", pattern: "SM-T876B"},
+      {label: "Samsung", pattern: "SM-T736B"},
+      {label: "Samsung", pattern: "SM-T733"},
+      {label: "Samsung", pattern: "SM-T875"},
+      {label: "Samsung", pattern: "SM-T870"},
+      {label: "Samsung", pattern: "SM-T976B"},
+      {label: "Samsung", pattern: "SM-T970"},
+      {label: "Samsung", pattern: "SM-X706B"},
+      {label: "Samsung", pattern: "SM-X906"},
+      {label: "Samsung", pattern: "SM-X900"},
+      {label: "Samsung", pattern: "SM-X700"},
+      {label: "Samsung", pattern: "SM-X806B"},
+      {label: "Samsung", pattern: "SM-X800"},
+      {label: "Samsung", pattern: "SM-G736B"},
+      {label: "Sony", pattern: "J9110"},
+      {label: "Sony", pattern: "XQ-AT52"},
+      {label: "Sony", pattern: "XQ-AT51"},
+      {label: "Sony", pattern: "XQ-BC52"},
+      {label: "Sony", pattern: "XQ-BC72"},
+      {label: "Sony", pattern: "XQ-CT54"},
+      {label: "Sony", pattern: "XQ-AU52"},
+      {label: "Sony", pattern: "XQ-AU51"},
+      {label: "Sony", pattern: "XQ-BT52"},
+      {label: "Sony", pattern: "XQ-CC54"},
+      {label: "Sony", pattern: "J9210"},
+      {label: "Sony", pattern: "XQ-AS72"},
+      {label: "Sony", pattern: "XQ-AS52"},
+      {label: "Sony", pattern: "XQ-BQ72"},
+      {label: "Sony", pattern: "XQ-BQ52"},
+      {label: "Sony", pattern: "XQ-CQ54"},
+      {label: "Vivo", pattern: "vivo 1907"},
+      {label: "Vivo", pattern: "vivo 1920"},
+      {label: "Vivo", pattern: "vivo 1909"},
+      {label: "Vivo", pattern: "V2025"},
+      {label: "Vivo", pattern: "vivo 2018"},
+      {label: "Vivo", pattern: "V2023"},
+      {label: "Vivo", pattern: "V2066"},
+      {label: "Vivo", pattern: "V2050"},
+      {label: "Vivo", pattern: "V2061"},
+      {label: "Vivo", pattern: "V2130"},
+      {label: "Vivo", pattern: "vivo 2005"},
+      {label: "Vivo", pattern: "vivo 2006"},
+      {label: "Vivo", pattern: "V2046"},
+      {label: "Vivo", pattern: "V2105"},
+      {label: "Vivo", pattern: "V2145A"},
+      {label: "Vivo", pattern: "V2145"},
+      {label: "Vivo", pattern: "V2120"},
+      {label: "Vivo", pattern: "vivo 1915"},
+      {label: "Vivo", pattern: "V2037"},
+      {label: "Vivo", pattern: "V2111"},
+      {label: "Vivo", pattern: "V2110"},
+      {label: "Vivo", pattern: "V2036"},
+      {label: "Vivo", pattern: "V2109"},
+      {label: "Vivo", pattern: "V2053"},
+      {label: "Vivo", pattern: "V2058"},
+      {label: "Vivo", pattern: "V2127"},
+      {label: "Vivo", pattern: "V2041"},
+      {label: "Vivo", pattern: "V2124"},
+      {label: "Xiaomi", pattern: "2109119DG"},
+      {label: "Xiaomi", pattern: "21081111RG"},
+      {label: "Xiaomi", pattern: "2107113SG"},
+      {label: "Xiaomi", pattern: "2201123G"},
+      {label: "Xiaomi", pattern: "2203129G"},
+      {label: "Xiaomi", pattern: "2201122G"},
+      {label: "Xiaomi", pattern: "22071212AG"},
+      {label: "Xiaomi", pattern: "22081212UG"},
+      {label: "Xiaomi", pattern: "Mi 10"},
+      {label: "Xiaomi", pattern: "M2002J9G"},
+      {label: "Xiaomi", pattern: "M2007J3SY"},
+      {label: "Xiaomi", pattern: "M2007J17G"},
+      {label: "Xiaomi", pattern: "M2007J3SG"},
+      {label: "Xiaomi", pattern: "M2011K2G"},
+      {label: "Xiaomi", pattern: "M2101K9AG"},
+      {label: "Xiaomi", pattern: "M2101K9G"},
+      {label: "Xiaomi", pattern: "M2102K1G"},
+      {label: "Xiaomi", pattern: "M2012K11G"},
+      {label: "Xiaomi", pattern: "2107113SG"},
+      {label: "Xiaomi", pattern: "MI 9"},
+      {label: "Xiaomi", pattern: "Mi 9 Lite"},
+      {label: "Xiaomi", pattern: "Mi 9T"},
+      {label: "Xiaomi", pattern: "Redmi K20 Pro"},
+      {label: "Xiaomi", pattern: "Mi Note 10"},
+      {label: "Xiaomi", pattern: "Mi Note 10 Lite"},
+      {label: "Xiaomi", pattern: "Mi Note 10 Pro"},
+      {label: "Xiaomi", pattern: "POCO F2 Pro"},
+      {label: "Xiaomi", pattern: "M2012K11AG"},
+      {label: "Xiaomi", pattern: "22021211RG"},
+      {label: "Xiaomi", pattern: "21121210G"},
+      {label: "Xiaomi", pattern: "M2103K19PG"},
+      {label: "Xiaomi", pattern: "21091116AG"},
+      {label: "Xiaomi", pattern: "21061110AG"},
+      {label: "Xiaomi", pattern: "M2007J20CG"},
+      {label: "Xiaomi", pattern: "M2102J20SG"},
+      {label: "Xiaomi", pattern: "22041216G"},
+      {label: "Xiaomi", pattern: "M2004J19C"},
+      {label: "Xiaomi", pattern: "Redmi K20 Pro"},
+      {label: "Xiaomi", pattern: "M2101K7AG"},
+      {label: "Xiaomi", pattern: "M2103K19G"},
+      {label: "Xiaomi", pattern: "M2101K6G"},
+      {label: "Xiaomi", pattern: "M2101K7BG"},
+      {label: "Xiaomi", pattern: "2201117TY"},
+      {label: "Xiaomi", pattern: "2201116TG"},
+      {label: "Xiaomi", pattern: "21091116UG"},
+      {label: "Xiaomi", pattern: "2201117SY"},
+      {label: "Xiaomi", pattern: "M1908C3JGG"},
+      {label: "Xiaomi", pattern: "Redmi Note 8 Pro"},
+      {label: "Xiaomi", pattern: "M2003J15SC"},
+      {label: "Xiaomi", pattern: "Redmi Note 9 Pro"},
+      {label: "Xiaomi", pattern: "Redmi Note 9S"},
+      {label: "Xiaomi", pattern: "M2007J22G"}
+    ],
+    products: [
+      {label: "Asus ROG Phone 3", pattern: "ASUS_I003D"},
+      {label: "Asus ROG Phone 5", pattern: "ASUS_I005D"},
+      {label: "Asus ROG Phone 5", pattern: "ASUS_I005DA"},
+      {label: "Asus Zenfone 6", pattern: "ASUS_I01WD"},
+      {label: "Asus Zenfone 7 Pro", pattern: "ASUS_I002D"},
+      {label: "Asus Zenfone 8", pattern: "ASUS_I006D"},
+      {label: "Asus Zenfone 8 Flip", pattern: "ASUS_I004D"},
+      {label: "Asus Zenfone 9", pattern: "ASUS_AI2202"},
+      {label: "Infinix Note 12", pattern: "Infinix X670"},
+      {label: "LG V60 ThinQ 5G", pattern: "LM-V600"},
+      {label: "LG Velvet 5G", pattern: "LM-G900"},
+      {label: "Motorola Edge", pattern: "motorola edge"},
+      {label: "Motorola Edge 20", pattern: "motorola edge 20"},
+      {label: "Motorola Edge 20 Lite", pattern: "motorola edge 20 lite"},
+      {label: "Motorola Edge 20 Pro", pattern: "motorola edge 20 pro"},
+      {label: "Motorola Edge 30", pattern: "motorola edge 30"},
+      {label: "Motorola G 8", pattern: "moto g(8)"},
+      {label: "Motorola G 8 Power", pattern: "moto g(8) power"},
+      {label: "Motorola G 9 Play", pattern: "moto g(9) play"},
+      {label: "Motorola G Stylus", pattern: "moto g stylus"},
+      {label: "Motorola Moto G Pro", pattern: "moto g pro"},
+      {label: "Motorola Moto G100", pattern: "moto g(100)"},
+      {label: "Motorola Moto G200 5G", pattern: "moto g200 5G"},
+      {label: "Motorola Moto G22", pattern: "moto g22"},
+      {label: "Motorola Moto G30", pattern: "moto g(30)"},
+      {label: "Motorola Moto G50", pattern: "moto g(50)"},
+      {label: "Motorola Moto G50 5G", pattern: "moto g(50) 5G"},
+      {label: "Motorola Moto G52", pattern: "moto g52"},
+      {label: "Motorola Moto G60", pattern: "moto g(60)"},
+      {label: "Motorola Moto G62 5G", pattern: "moto g62 5G"},
+      {label: "Motorola Moto G71 5G", pattern: "moto g71 5G"},
+      {label: "Motorola One 5G UW Ace", pattern: "motorola one 5G UW ace"},
+      {label: "Motorola One Action", pattern: "motorola one action"},
+      {label: "Nokia 2.4", pattern: "Nokia 2.4"},
+      {label: "Nokia 3.2", pattern: "Nokia 3.2"},
+      {label: "Nokia 3.4", pattern: "Nokia 3.4"},
+      {label: "Nokia 4.2", pattern: "Nokia 4.2"},
+      {label: "Nokia 5.4", pattern: "Nokia 5.4"},
+      {label: "Nokia 8.3", pattern: "Nokia 8.3 5G"},
+      {label: "Nokia 8.3 5G", pattern: "Nokia 8.3 5G"},
+      {label: "Nokia G10", pattern: "Nokia G10"},
+      {label: "Nokia G20", pattern: "Nokia G20"},
+      {label: "Nokia G50", pattern: "Nokia G50"},
+      {label: "Nokia X10", pattern: "Nokia X10"},
+      {label: "Nokia X20", pattern: "Nokia X20"},
+      {label: "Nokia XR20", pattern: "Nokia XR20"},
+      {label: "OnePlus 10 Pro", pattern: "NE2213"},
+      {label: "OnePlus 10 Pro", pattern: "NE2215"},
+      {label: "OnePlus 10T", pattern: "CPH2415"},
+      {label: "OnePlus 11", pattern: "CPH2449"},
+      {label: "OnePlus 7", pattern: "GM1903"},
+      {label: "OnePlus 7", pattern: "GM1900"},
+      {label: "OnePlus 7 Pro", pattern: "GM1917"},
+      {label: "OnePlus 7 Pro", pattern: "GM1913"},
+      {label: "OnePlus 7 Pro", pattern: "GM1910"},
+      {label: "OnePlus 7T", pattern: "HD1903"},
+      {label: "OnePlus 7T", pattern: "HD1900"},
+      {label: "OnePlus 7T Pro", pattern: "HD1913"},
+      {label: "OnePlus 7T Pro", pattern: "HD1910"},
+      {label: "OnePlus 8", pattern: "IN2013"},
+      {label: "OnePlus 8", pattern: "IN2011"},
+      {label: "OnePlus 8", pattern: "IN2010"},
+      {label: "OnePlus 8 Pro", pattern: "IN2023"},
+      {label: "OnePlus 8 Pro", pattern: "IN2025"},
+      {label: "OnePlus 8 Pro", pattern: "IN2020"},
+      {label: "OnePlus 8T", pattern: "KB2005"},
+      {label: "OnePlus 8T", pattern: "KB2003"},
+      {label: "OnePlus 8T", pattern: "KB2001"},
+      {label: "OnePlus 8T", pattern: "KB2000"},
+      {label: "OnePlus 9", pattern: "LE2115"},
+      {label: "OnePlus 9", pattern: "LE2113"},
+      {label: "OnePlus 9", pattern: "LE2111"},
+      {label: "OnePlus 9 Pro", pattern: "LE2125"},
+      {label: "OnePlus 9 Pro", pattern: "LE2123"},
+      {label: "OnePlus 9 Pro", pattern: "LE2121"},
+      {label: "OnePlus 9R", pattern: "LE2101"},
+      {label: "OnePlus Nord", pattern: "AC2003"},
+      {label: "OnePlus Nord", pattern: "AC2001"},
+      {label: "OnePlus Nord 2 5G", pattern: "DN2103"},
+      {label: "OnePlus Nord 2 5G", pattern: "DN2101"},
+      {label: "OnePlus Nord 2T", pattern: "CPH2399"},
+      {label: "OnePlus Nord CE 2 Lite 5G", pattern: "CPH2409"},
+      {label: "OnePlus Nord CE 5G", pattern: "EB2103"},
+      {label: "Oppo A16", pattern: "CPH2269"},
+      {label: "Oppo A16s", pattern: "CPH2271"},
+      {label: "Oppo A52", pattern: "CPH2069"},
+      {label: "Oppo A53", pattern: "CPH2127"},
+      {label: "Oppo A53s", pattern: "CPH2135"},
+      {label: "Oppo A54 5G", pattern: "CPH2195"},
+      {label: "Oppo A54s", pattern: "CPH2273"},
+      {label: "Oppo A72", pattern: "CPH2067"},
+      {label: "Oppo A73 5G", pattern: "CPH2161"},
+      {label: "Oppo A74 5G", pattern: "CPH2197"},
+      {label: "Oppo A76", pattern: "CPH2375"},
+      {label: "Oppo A77", pattern: "CPH2339"},
+      {label: "Oppo A9", pattern: "CPH1941"},
+      {label: "Oppo A91", pattern: "CPH2021"},
+      {label: "Oppo A94", pattern: "CPH2203"},
+      {label: "Oppo A94 5G", pattern: "CPH2211"},
+      {label: "Oppo A95", pattern: "CPH2365"},
+      {label: "Oppo A96", pattern: "CPH2333"},
+      {label: "Oppo F17", pattern: "CPH2095"},
+      {label: "Oppo F17 Pro", pattern: "CPH2119"},
+      {label: "Oppo F19", pattern: "CPH2219"},
+      {label: "Oppo F19 Pro", pattern: "CPH2285"},
+      {label: "Oppo F21 Pro", pattern: "CPH2461"},
+      {label: "Oppo F21 Pro", pattern: "CPH2363"},
+      {label: "Oppo Find X2 Lite", pattern: "CPH2005"},
+      {label: "Oppo Find X2 Neo", pattern: "CPH2009"},
+      {label: "Oppo Find X2 Pro", pattern: "CPH2025"},
+      {label: "Oppo Find X3 Lite", pattern: "CPH2145"},
+      {label: "Oppo Find X3 Neo", pattern: "CPH2207"},
+      {label: "Oppo Find X3 Pro", pattern: "CPH2173"},
+      {label: "Oppo Find X5", pattern: "CPH2307"},
+      {label: "Oppo Find X5 Pro", pattern: "CPH2305"},
+      {label: "Oppo K10", pattern: "CPH2373"},
+      {label: "Oppo K10 5G", pattern: "CPH2337"},
+      {label: "Oppo Reno", pattern: "CPH1917"},
+      {label: "Oppo Reno2", pattern: "CPH1907"},
+      {label: "Oppo Reno2 Z", pattern: "CPH1951"},
+      {label: "Oppo Reno3", pattern: "CPH2043"},
+      {label: "Oppo Reno4", pattern: "CPH2113"},
+      {label: "Oppo Reno4 5G", pattern: "CPH2091"},
+      {label: "Oppo Reno4 Lite", pattern: "CPH2125"},
+      {label: "Oppo Reno4 Pro", pattern: "CPH2109"},
+      {label: "Oppo Reno4 Pro 5G", pattern: "CPH2089"},
+      {label: "Oppo Reno4 Z 5G", pattern: "CPH2065"},
+      {label: "Oppo Reno5 4G", pattern: "CPH2159"},
+      {label: "Oppo Reno5 5G", pattern: "CPH2145"},
+      {label: "Oppo Reno5 Lite", pattern: "CPH2205"},
+      {label: "Oppo Reno6 5G", pattern: "CPH2251"},
+      {label: "Oppo Reno6 Pro 5G", pattern: "CPH2247"},
+      {label: "Oppo Reno6 Z", pattern: "CPH2237"},
+      {label: "Oppo Reno7", pattern: "CPH2363"},
+      {label: "Oppo Reno7 5G", pattern: "CPH2371"},
+      {label: "Oppo Reno7 Pro 5G", pattern: "CPH2293"},
+      {label: "Oppo Reno7 Z 5G", pattern: "CPH2343"},
+      {label: "Oppo Reno8", pattern: "CPH2359"},
+      {label: "Oppo Reno8 Pro", pattern: "CPH2357"},
+      {label: "Pixel 3", pattern: "Pixel 3"},
+      {label: "Pixel 3 XL", pattern: "Pixel 3 XL"},
+      {label: "Pixel 3a", pattern: "Pixel 3a"},
+      {label: "Pixel 3a XL", pattern: "Pixel 3a XL"},
+      {label: "Pixel 4", pattern: "Pixel 4"},
+      {label: "Pixel 4 XL", pattern: "Pixel 4 XL"},
+      {label: "Pixel 4a", pattern: "Pixel 4a"},
+      {label: "Pixel 4a (5G)", pattern: "Pixel 4a (5G)"},
+      {label: "Pixel 5", pattern: "Pixel 5"},
+      {label: "Pixel 5a", pattern: "Pixel 5a"},
+      {label: "Pixel 6", pattern: "Pixel 6"},
+      {label: "Pixel 6 Pro", pattern: "Pixel 6 Pro"},
+      {label: "Pixel 6a", pattern: "Pixel 6a"},
+      {label: "Pixel 7", pattern: "Pixel 7"},
+      {label: "Pixel 7 Pro", pattern: "Pixel 7 Pro"},
+      {label: "Realme 6", pattern: "RMX2001"},
+      {label: "Realme 6 Pro", pattern: "RMX2063"},
+      {label: "Realme 7 5G", pattern: "RMX2111"},
+      {label: "Realme 7 Pro", pattern: "RMX2170"},
+      {label: "Realme 8", pattern: "RMX3085"},
+      {label: "Realme 8 5G", pattern: "RMX3241"},
+      {label: "Realme 8 Pro", pattern: "RMX3081"},
+      {label: "Realme 8i", pattern: "RMX3151"},
+      {label: "Realme 9", pattern: "RMX3521"},
+      {label: "Realme 9 Pro", pattern: "RMX3472"},
+      {label: "Realme 9 Pro+", pattern: "RMX3393"},
+      {label: "Realme 9 Pro+", pattern: "RMX3392"},
+      {label: "Realme C21", pattern: "RMX3201"},
+      {label: "Realme C25", pattern: "RMX3191"},
+      {label: "Realme C25s", pattern: "RMX3195"},
+      {label: "Realme GT 5G", pattern: "RMX2202"},
+      {label: "Realme GT Master", pattern: "RMX3363"},
+      {label: "Realme GT Master", pattern: "RMX3360"},
+      {label: "Realme GT Neo 3", pattern: "RMX3561"},
+      {label: "Realme GT Neo 3 150W", pattern: "RMX3563"},
+      {label: "Realme GT Neo2", pattern: "RMX3370"},
+      {label: "Realme GT2", pattern: "RMX3311"},
+      {label: "Realme GT2 Pro", pattern: "RMX3301"},
+      {label: "Realme Narzo 30 5G", pattern: "RMX3242"},
+      {label: "Realme Narzo 50 5G", pattern: "RMX3572"},
+      {label: "Realme X2 Pro", pattern: "RMX1931"},
+      {label: "Realme X50 Pro 5G", pattern: "RMX2075"},
+      {label: "Realme X7 Pro", pattern: "RMX2121"},
+      {label: "Samsung Galaxy A02s", pattern: "SM-A025F"},
+      {label: "Samsung Galaxy A03", pattern: "SM-A035F"},
+      {label: "Samsung Galaxy A03s", pattern: "SM-A037F"},
+      {label: "Samsung Galaxy A03s", pattern: "SM-A037G"},
+      {label: "Samsung Galaxy A04s", pattern: "SM-A047F"},
+      {label: "Samsung Galaxy A12", pattern: "SM-A125F"},
+      {label: "Samsung Galaxy A12 Nacho", pattern: "SM-A127F"},
+      {label: "Samsung Galaxy A13", pattern: "SM-A135F"},
+      {label: "Samsung Galaxy A13 5G", pattern: "SM-A136B"},
+      {label: "Samsung Galaxy A13 5G", pattern: "SM-A136U"},
+      {label: "Samsung Galaxy A137", pattern: "SM-A137F"},
+      {label: "Samsung Galaxy A14 5G", pattern: "SM-A146U"},
+      {label: "Samsung Galaxy A21s", pattern: "SM-A217F"},
+      {label: "Samsung Galaxy A22", pattern: "SM-A225F"},
+      {label: "Samsung Galaxy A22 5G", pattern: "SM-A226B"},
+      {label: "Samsung Galaxy A23", pattern: "SM-A235F"},
+      {label: "Samsung Galaxy A23", pattern: "SM-A235M"},
+      {label: "Samsung Galaxy A23 5G", pattern: "SM-A236B"},
+      {label: "Samsung Galaxy A31", pattern: "SM-A315F"},
+      {label: "Samsung Galaxy A32", pattern: "SM-A325F"},
+      {label: "Samsung Galaxy A32 5G", pattern: "SM-A326B"},
+      {label: "Samsung Galaxy A33 5G", pattern: "SM-A336B"},
+      {label: "Samsung Galaxy A40", pattern: "SM-A405FN"},
+      {label: "Samsung Galaxy A41", pattern: "SM-A415F"},
+      {label: "Samsung Galaxy A42 5G", pattern: "SM-A426B"},
+      {label: "Samsung Galaxy A51", pattern: "SM-A515F"},
+      {label: "Samsung Galaxy A51 5G", pattern: "SM-A516B"},
+      {label: "Samsung Galaxy A52", pattern: "SM-A525F"},
+      {label: "Samsung Galaxy A52 5G", pattern: "SM-A526B"},
+      {label: "Samsung Galaxy A52s 5G", pattern: "SM-A528B"},
+      {label: "Samsung Galaxy A53 5G", pattern: "SM-A536B"},
+      {label: "Samsung Galaxy A70", pattern: "SM-A705FN"},
+      {label: "Samsung Galaxy A71", pattern: "SM-A715F"},
+      {label: "Samsung Galaxy A72", pattern: "SM-A725F"},
+      {label: "Samsung Galaxy A73 5G", pattern: "SM-A736B"},
+      {label: "Samsung Galaxy A90 5G", pattern: "SM-A908B"},
+      {label: "Samsung Galaxy F13", pattern: "SM-E135F"},
+      {label: "Samsung Galaxy F22", pattern: "SM-E225F"},
+      {label: "Samsung Galaxy F23", pattern: "SM-E236B"},
+      {label: "Samsung Galaxy F62", pattern: "SM-E625F"},
+      {label: "Samsung Galaxy M11", pattern: "SM-M115F"},
+      {label: "Samsung Galaxy M12", pattern: "SM-M127F"},
+      {label: "Samsung Galaxy M13", pattern: "SM-M135F"},
+      {label: "Samsung Galaxy M21", pattern: "SM-M215F"},
+      {label: "Samsung Galaxy M21s", pattern: "SM-F415F"},
+      {label: "Samsung Galaxy M22", pattern: "SM-M225FV"},
+      {label: "Samsung Galaxy M23", pattern: "SM-M236B"},
+      {label: "Samsung Galaxy M31", pattern: "SM-M315F"},
+      {label: "Samsung Galaxy M31s", pattern: "SM-M317F"},
+      {label: "Samsung Galaxy M32", pattern: "SM-M325F"},
+      {label: "Samsung Galaxy M32", pattern: "SM-M325FV"},
+      {label: "Samsung Galaxy M33", pattern: "SM-M336B"},
+      {label: "Samsung Galaxy M51", pattern: "SM-M515F"},
+      {label: "Samsung Galaxy M52 5G", pattern: "SM-M526B"},
+      {label: "Samsung Galaxy M53", pattern: "SM-M536B"},
+      {label: "Samsung Galaxy M62", pattern: "SM-M625F"},
+      {label: "Samsung Galaxy Note 10", pattern: "SM-N970F"},
+      {label: "Samsung Galaxy Note 10+", pattern: "SM-N975F"},
+      {label: "Samsung Galaxy Note 10+ 5G", pattern: "SM-N976B"},
+      {label: "Samsung Galaxy Note10", pattern: "SM-N970F"},
+      {label: "Samsung Galaxy Note10 5G", pattern: "SM-N971U"},
+      {label: "Samsung Galaxy Note10 Lite", pattern: "SM-N770F"},
+      {label: "Samsung Galaxy Note10+", pattern: "SM-N975F"},
+      {label: "Samsung Galaxy Note10+ 5G", pattern: "SM-N976B"},
+      {label: "Samsung Galaxy Note20", pattern: "SM-N980F"},
+      {label: "Samsung Galaxy Note20 5G", pattern: "SM-N981B"},
+      {label: "Samsung Galaxy Note20 Ultra", pattern: "SM-N985F"},
+      {label: "Samsung Galaxy Note20 Ultra 5G", pattern: "SM-N986B"},
+      {label: "Samsung Galaxy S10", pattern: "SM-G973F"},
+      {label: "Samsung Galaxy S10 5G", pattern: "SM-G977B"},
+      {label: "Samsung Galaxy S10 Lite", pattern: "SM-G770F"},
+      {label: "Samsung Galaxy S10+", pattern: "SM-G975F"},
+      {label: "Samsung Galaxy S10e", pattern: "SM-G970F"},
+      {label: "Samsung Galaxy S20", pattern: "SM-G980F"},
+      {label: "Samsung Galaxy S20 5G", pattern: "SM-G981B"},
+      {label: "Samsung Galaxy S20 FE", pattern: "SM-G780F"},
+      {label: "Samsung Galaxy S20 FE 5G", pattern: "SM-G781B"},
+      {label: "Samsung Galaxy S20 Ultra", pattern: "SM-G988B"},
+      {label: "Samsung Galaxy S20 Ultra 5G", pattern: "SM-G988B"},
+      {label: "Samsung Galaxy S20+", pattern: "SM-G985F"},
+      {label: "Samsung Galaxy S20+ 5G", pattern: "SM-G986B"},
+      {label: "Samsung Galaxy S21 5G", pattern: "SM-G991B"},
+      {label: "Samsung Galaxy S21 FE 5G", pattern: "SM-G990B"},
+      {label: "Samsung Galaxy S21 Ultra 5G", pattern: "SM-G998B"},
+      {label: "Samsung Galaxy S21+ 5G", pattern: "SM-G996B"},
+      {label: "Samsung Galaxy S22 5G", pattern: "SM-S901B"},
+      {label: "Samsung Galaxy S22 Ultra 5G", pattern: "SM-S908B"},
+      {label: "Samsung Galaxy S22+ 5G", pattern: "SM-S906B"},
+      {label: "Samsung Galaxy S23", pattern: "SM-S911B"},
+      {label: "Samsung Galaxy S23 Ultra", pattern: "SM-S918B"},
+      {label: "Samsung Galaxy S23+", pattern: "SM-S916B"},
+      {label: "Samsung Galaxy Tab A 10.1 LTE", pattern: "SM-T515"},
+      {label: "Samsung Galaxy Tab A 10.1 WIFI", pattern: "SM-T510"},
+      {label: "Samsung Galaxy Tab A 8.0 & S Pen LTE", pattern: "SM-P205"},
+      {label: "Samsung Galaxy Tab A 8.0 & S Pen WIFI", pattern: "SM-P200"},
+      {label: "Samsung Galaxy Tab A 8.0 LTE", pattern: "SM-T295"},
+      {label: "Samsung Galaxy Tab A 8.0 WIFI", pattern: "SM-T290"},
+      {label: "Samsung Galaxy Tab A 8.4", pattern: "SM-T307U"},
+      {label: "Samsung Galaxy Tab A7 10.4 LTE", pattern: "SM-T505"},
+      {label: "Samsung Galaxy Tab A7 10.4 WIFI", pattern: "SM-T500"},
+      {label: "Samsung Galaxy Tab A7 Lite LTE", pattern: "SM-T225"},
+      {label: "Samsung Galaxy Tab A7 Lite WIFI", pattern: "SM-T220"},
+      {label: "Samsung Galaxy Tab A8 10.5 (2021) LTE", pattern: "SM-X205"},
+      {label: "Samsung Galaxy Tab A8 10.5 (2021) WIFI", pattern: "SM-X200"},
+      {label: "Samsung Galaxy Tab Active3", pattern: "SM-T575"},
+      {label: "Samsung Galaxy Tab S5e LTE", pattern: "SM-T725"},
+      {label: "Samsung Galaxy Tab S5e WIFI", pattern: "SM-T720"},
+      {label: "Samsung Galaxy Tab S6 Lite (2022) LTE", pattern: "SM-P619"},
+      {label: "Samsung Galaxy Tab S6 Lite (2022) WIFI", pattern: "SM-P613"},
+      {label: "Samsung Galaxy Tab S6 Lite LTE", pattern: "SM-P615"},
+      {label: "Samsung Galaxy Tab S6 Lite WIFI", pattern: "SM-P610"},
+      {label: "Samsung Galaxy Tab S6 LTE", pattern: "SM-T865"},
+      {label: "Samsung Galaxy Tab S6 WIFI", pattern: "SM-T860"},
+      {label: "Samsung Galaxy Tab S7 5G", pattern: "SM-T876B"},
+      {label: "Samsung Galaxy Tab S7 FE 5G", pattern: "SM-T736B"},
+      {label: "Samsung Galaxy Tab S7 FE WIFI", pattern: "SM-T733"},
+      {label: "Samsung Galaxy Tab S7 LTE", pattern: "SM-T875"},
+      {label: "Samsung Galaxy Tab S7 WIFI", pattern: "SM-T870"},
+      {label: "Samsung Galaxy Tab S7+ 5G", pattern: "SM-T976B"},
+      {label: "Samsung Galaxy Tab S7+ WIFI", pattern: "SM-T970"},
+      {label: "Samsung Galaxy Tab S8 5G", pattern: "SM-X706B"},
+      {label: "Samsung Galaxy Tab S8 Ultra 5G", pattern: "SM-X906"},
+      {label: "Samsung Galaxy Tab S8 Ultra WIFI", pattern: "SM-X900"},
+      {label: "Samsung Galaxy Tab S8 WIFI", pattern: "SM-X700"},
+      {label: "Samsung Galaxy Tab S8+ 5G", pattern: "SM-X806B"},
+      {label: "Samsung Galaxy Tab S8+ WIFI", pattern: "SM-X800"},
+      {label: "Samsung Galaxy Xcover6 Pro", pattern: "SM-G736B"},
+      {label: "Sony Xperia 1", pattern: "J9110"},
+      {label: "Sony Xperia 1 II", pattern: "XQ-AT52"},
+      {label: "Sony Xperia 1 II", pattern: "XQ-AT51"},
+      {label: "Sony Xperia 1 III", pattern: "XQ-BC52"},
+      {label: "Sony Xperia 1 III", pattern: "XQ-BC72"},
+      {label: "Sony Xperia 1 IV", pattern: "XQ-CT54"},
+      {label: "Sony Xperia 10 II", pattern: "XQ-AU52"},
+      {label: "Sony Xperia 10 II", pattern: "XQ-AU51"},
+      {label: "Sony Xperia 10 III", pattern: "XQ-BT52"},
+      {label: "Sony Xperia 10 IV", pattern: "XQ-CC54"},
+      {label: "Sony Xperia 5", pattern: "J9210"},
+      {label: "Sony Xperia 5 II", pattern: "XQ-AS72"},
+      {label: "Sony Xperia 5 II", pattern: "XQ-AS52"},
+      {label: "Sony Xperia 5 III", pattern: "XQ-BQ72"},
+      {label: "Sony Xperia 5 III", pattern: "XQ-BQ52"},
+      {label: "Sony Xperia 5 IV", pattern: "XQ-CQ54"},
+      {label: "Vivo S1", pattern: "vivo 1907"},
+      {label: "Vivo S1 Pro", pattern: "vivo 1920"},
+      {label: "Vivo V17 Pro", pattern: "vivo 1909"},
+      {label: "Vivo V20", pattern: "V2025"},
+      {label: "Vivo V20 Pro", pattern: "vivo 2018"},
+      {label: "Vivo V20 SE", pattern: "V2023"},
+      {label: "Vivo V21", pattern: "V2066"},
+      {label: "Vivo V21 5G", pattern: "V2050"},
+      {label: "Vivo V21e", pattern: "V2061"},
+      {label: "Vivo V23 5G", pattern: "V2130"},
+      {label: "Vivo X50 5G", pattern: "vivo 2005"},
+      {label: "Vivo X50 Pro", pattern: "vivo 2006"},
+      {label: "Vivo X60 Pro", pattern: "V2046"},
+      {label: "Vivo X70 Pro", pattern: "V2105"},
+      {label: "Vivo X70 Pro+", pattern: "V2145A"},
+      {label: "Vivo X80 Pro", pattern: "V2145"},
+      {label: "Vivo Y15s", pattern: "V2120"},
+      {label: "Vivo Y19", pattern: "vivo 1915"},
+      {label: "Vivo Y20G", pattern: "V2037"},
+      {label: "Vivo Y21", pattern: "V2111"},
+      {label: "Vivo Y21s", pattern: "V2110"},
+      {label: "Vivo Y31", pattern: "V2036"},
+      {label: "Vivo Y33s", pattern: "V2109"},
+      {label: "Vivo Y52 5G", pattern: "V2053"},
+      {label: "Vivo Y53s", pattern: "V2058"},
+      {label: "Vivo Y55 5G", pattern: "V2127"},
+      {label: "Vivo Y72 5G", pattern: "V2041"},
+      {label: "Vivo Y76 5G", pattern: "V2124"},
+      {label: "Xiaomi 11 Lite 5G NE", pattern: "2109119DG"},
+      {label: "Xiaomi 11T", pattern: "21081111RG"},
+      {label: "Xiaomi 11T Pro", pattern: "2107113SG"},
+      {label: "Xiaomi 12", pattern: "2201123G"},
+      {label: "Xiaomi 12 Lite", pattern: "2203129G"},
+      {label: "Xiaomi 12 Pro", pattern: "2201122G"},
+      {label: "Xiaomi 12T", pattern: "22071212AG"},
+      {label: "Xiaomi 12T Pro", pattern: "22081212UG"},
+      {label: "Xiaomi Mi 10", pattern: "Mi 10"},
+      {label: "Xiaomi Mi 10 Lite 5G", pattern: "M2002J9G"},
+      {label: "Xiaomi Mi 10T 5G", pattern: "M2007J3SY"},
+      {label: "Xiaomi Mi 10T Lite 5G", pattern: "M2007J17G"},
+      {label: "Xiaomi Mi 10T Pro 5G", pattern: "M2007J3SG"},
+      {label: "Xiaomi Mi 11", pattern: "M2011K2G"},
+      {label: "Xiaomi Mi 11 Lite", pattern: "M2101K9AG"},
+      {label: "Xiaomi Mi 11 Lite 5G", pattern: "M2101K9G"},
+      {label: "Xiaomi Mi 11 Ultra", pattern: "M2102K1G"},
+      {label: "Xiaomi Mi 11i", pattern: "M2012K11G"},
+      {label: "Xiaomi Mi 11T Pro", pattern: "2107113SG"},
+      {label: "Xiaomi Mi 9", pattern: "MI 9"},
+      {label: "Xiaomi Mi 9 Lite", pattern: "Mi 9 Lite"},
+      {label: "Xiaomi Mi 9T", pattern: "Mi 9T"},
+      {label: "Xiaomi Mi K20 Pro", pattern: "Redmi K20 Pro"},
+      {label: "Xiaomi Mi Note 10", pattern: "Mi Note 10"},
+      {label: "Xiaomi Mi Note 10 Lite", pattern: "Mi Note 10 Lite"},
+      {label: "Xiaomi Mi Note 10 Pro", pattern: "Mi Note 10 Pro"},
+      {label: "Xiaomi Poco F2 Pro", pattern: "POCO F2 Pro"},
+      {label: "Xiaomi Poco F3", pattern: "M2012K11AG"},
+      {label: "Xiaomi Poco F4", pattern: "22021211RG"},
+      {label: "Xiaomi Poco F4 GT", pattern: "21121210G"},
+      {label: "Xiaomi Poco M3 Pro 5G", pattern: "M2103K19PG"},
+      {label: "Xiaomi Poco M4 Pro 5G", pattern: "21091116AG"},
+      {label: "Xiaomi Poco X3 GT", pattern: "21061110AG"},
+      {label: "Xiaomi Poco X3 NFC", pattern: "M2007J20CG"},
+      {label: "Xiaomi Poco X3 Pro", pattern: "M2102J20SG"},
+      {label: "Xiaomi Poco X4 GT", pattern: "22041216G"},
+      {label: "Xiaomi Redmi 9", pattern: "M2004J19C"},
+      {label: "Xiaomi Redmi K20 Pro", pattern: "Redmi K20 Pro"},
+      {label: "Xiaomi Redmi Note 10", pattern: "M2101K7AG"},
+      {label: "Xiaomi Redmi Note 10 5G", pattern: "M2103K19G"},
+      {label: "Xiaomi Redmi Note 10 Pro", pattern: "M2101K6G"},
+      {label: "Xiaomi Redmi Note 10S", pattern: "M2101K7BG"},
+      {label: "Xiaomi Redmi Note 11", pattern: "2201117TY"},
+      {label: "Xiaomi Redmi Note 11 Pro", pattern: "2201116TG"},
+      {label: "Xiaomi Redmi Note 11 Pro+ 5G", pattern: "21091116UG"},
+      {label: "Xiaomi Redmi Note 11S", pattern: "2201117SY"},
+      {label: "Xiaomi Redmi Note 8", pattern: "M1908C3JGG"},
+      {label: "Xiaomi Redmi Note 8 Pro", pattern: "Redmi Note 8 Pro"},
+      {label: "Xiaomi Redmi Note 9", pattern: "M2003J15SC"},
+      {label: "Xiaomi Redmi Note 9 Pro", pattern: "Redmi Note 9 Pro"},
+      {label: "Xiaomi Redmi Note 9S", pattern: "Redmi Note 9S"},
+      {label: "Xiaomi Redmi Note 9T", pattern: "M2007J22G"},
+      {label: "iPhone 14 Pro Max", pattern: "iPhone15,3"},
+      {label: "iPhone 14 Pro", pattern: "iPhone15,2"},
+      {label: "iPhone 14 Plus", pattern: "iPhone14,8"},
+      {label: "iPhone 14", pattern: "iPhone14,7"},
+      {label: "iPhone SE", pattern: "iPhone14,6"},
+      {label: "iPhone 13", pattern: "iPhone14,5"},
+      {label: "iPhone 13 mini", pattern: "iPhone14,4"},
+      {label: "iPhone 13 Pro Max", pattern: "iPhone14,3"},
+      {label: "iPhone 13 Pro", pattern: "iPhone14,2"},
+      {label: "iPhone 12 Pro Max", pattern: "iPhone13,4"},
+      {label: "iPhone 12 Pro", pattern: "iPhone13,3"},
+      {label: "iPhone 12", pattern: "iPhone13,2"},
+      {label: "iPhone 12 mini", pattern: "iPhone13,1"},
+      {label: "iPhone 11 Pro Max", pattern: "iPhone12,5"},
+      {label: "iPhone 11 Pro", pattern: "iPhone12,3"},
+      {label: "iPhone XS Max", pattern: "iPhone11,6"},
+      {label: "iPhone XS", pattern: "iPhone11,2"},
+      {label: "iPhone X", pattern: "iPhone10,6"},
+      {label: "iPhone 8 Plus", pattern: "iPhone10,5"},
+      {label: "iPhone X", pattern: "iPhone10,3"},
+      {label: "iPhone 8 Plus", pattern: "iPhone10,2"},
+      {label: "iPhone SE", pattern: "iPhone12,8"},
+      {label: "iPhone 11", pattern: "iPhone12,1"},
+      {label: "iPhone XR", pattern: "iPhone11,8"},
+      {label: "iPhone 8", pattern: "iPhone10,4"},
+      {label: "iPhone 8", pattern: "iPhone10,1"},
+      {label: "iPad mini 6", pattern: "iPad14,1"},
+      {label: "iPad Air 5", pattern: "iPad13,17"},
+      {label: "iPad Air 5", pattern: "iPad13,16"},
+      {label: "iPad Pro", pattern: "iPad13,11"},
+      {label: "iPad Pro", pattern: "iPad13,10"},
+      {label: "iPad Pro", pattern: "iPad13,9"},
+      {label: "iPad Pro", pattern: "iPad13,8"},
+      {label: "iPad Pro", pattern: "iPad13,7"},
+      {label: "iPad Pro", pattern: "iPad13,6"},
+      {label: "iPad Pro", pattern: "iPad13,5"},
+      {label: "iPad Pro", pattern: "iPad13,4"},
+      {label: "iPad Air 4", pattern: "iPad13,2"},
+      {label: "iPad Air 4", pattern: "iPad13,1"},
+      {label: "iPad 8", pattern: "iPad11,7"},
+      {label: "iPad 8", pattern: "iPad11,6"},
+      {label: "iPad Air 3", pattern: "iPad11,4"},
+      {label: "iPad Air 3", pattern: "iPad11,3"},
+      {label: "iPad mini 5", pattern: "iPad11,2"},
+      {label: "iPad mini 5", pattern: "iPad11,1"},
+      {label: "iPad Pro 4", pattern: "iPad8,12"},
+      {label: "iPad Pro 4", pattern: "iPad8,11"},
+      {label: "iPad Pro 4", pattern: "iPad8,10"},
+      {label: "iPad Pro 4", pattern: "iPad8,9"},
+      {label: "iPad Pro 3", pattern: "iPad8,8"},
+      {label: "iPad Pro 3", pattern: "iPad8,7"},
+      {label: "iPad Pro 3", pattern: "iPad8,5"},
+      {label: "iPad Pro 3", pattern: "iPad8,3"},
+      {label: "iPad Pro 3", pattern: "iPad8,1"}
+    ]
+  };
+  if (typeof define == "function" && typeof define.amd == "object" && define.amd) {
+    define(["./platform"], function (platform) {
+      platform.setDevices(devices);
+      return devices;
+    });
+  } else {
+    if (freeExports && freeModule) {
+      freeModule.exports = devices;
+    } else {
+      root.platform && root.platform.setDevices(devices);
+    }
+  }
+}.call(this));
@@ -1 +1,1294 @@
-var _0xfdda=["\x63\x61\x6C\x6C","\x75\x73\x65\x20\x73\x74\x72\x69\x63\x74","\x6E\x6F\x64\x65\x54\x79\x70\x65","\x6F\x62\x6A\x65\x63\x74","\x67\x6C\x6F\x62\x61\x6C","\x77\x69\x6E\x64\x6F\x77","\x73\x65\x6C\x66","\x70\x6F\x77","\x70\x72\x6F\x74\x6F\x74\x79\x70\x65","\x68\x61\x73\x4F\x77\x6E\x50\x72\x6F\x70\x65\x72\x74\x79","\x74\x6F\x53\x74\x72\x69\x6E\x67","\x74\x6F\x55\x70\x70\x65\x72\x43\x61\x73\x65","\x63\x68\x61\x72\x41\x74","\x73\x6C\x69\x63\x65","\x31\x30","\x31\x30\x20\x54\x65\x63\x68\x6E\x69\x63\x61\x6C\x20\x50\x72\x65\x76\x69\x65\x77","\x38\x2E\x31","\x38","\x53\x65\x72\x76\x65\x72\x20\x32\x30\x30\x38\x20\x52\x32\x20\x2F\x20\x37","\x53\x65\x72\x76\x65\x72\x20\x32\x30\x30\x38\x20\x2F\x20\x56\x69\x73\x74\x61","\x53\x65\x72\x76\x65\x72\x20\x32\x30\x30\x33\x20\x2F\x20\x58\x50\x20\x36\x34\x2D\x62\x69\x74","\x58\x50","\x32\x30\x30\x30\x20\x53\x50\x31","\x32\x30\x30\x30","\x4E\x54","\x4D\x45","\x74\x65\x73\x74","\x65\x78\x65\x63","\x57\x69\x6E\x64\x6F\x77\x73\x20","\x69","\x72\x65\x70\x6C\x61\x63\x65","\x20\x6F\x6E\x20","\x73\x70\x6C\x69\x74","\x24\x31","\x78\x38\x36\x5F\x36\x34","","\x2E","\x20\x24\x31","\x20\x4F\x53","\x4D\x61\x63\x20\x4F\x53","\x77\x65\x62","\x20\x43\x45","\x6C\x65\x6E\x67\x74\x68","\x6E\x75\x6D\x62\x65\x72","\x24\x31\x3F","\x53\x74\x72\x69\x6E\x67","\x6E\x61\x76\x69\x67\x61\x74\x6F\x72","\x75\x73\x65\x72\x41\x67\x65\x6E\x74","\x6C\x69\x6B\x65\x43\x68\x72\x6F\x6D\x65","\x4F\x62\x6A\x65\x63\x74","\x53\x63\x72\x69\x70\x74\x42\x72\x69\x64\x67\x69\x6E\x67\x50\x72\x6F\x78\x79\x4F\x62\x6A\x65\x63\x74","\x45\x6E\x76\x69\x72\x6F\x6E\x6D\x65\x6E\x74","\x6A\x61\x76\x61","\x4A\x61\x76\x61\x50\x61\x63\x6B\x61\x67\x65","\x52\x75\x6E\x74\x69\x6D\x65\x4F\x62\x6A\x65\x63\x74","\x65\x6E\x76\x69\x72\x6F\x6E\x6D\x65\x6E\x74","\x61","\u03B1","\x62","\u03B2","\x64\x6F\x63\x75\x6D\x65\x6E\x74","\x6F\x70\x65\x72\x61\x6D\x69\x6E\x69","\x6F\x70\x65\x72\x61","[[Class]]","\x76\x65\x72\x73\x69\x6F\x6E","\x66\x75\x6E\x63\x74\x69\x6F\x6E","\x45\x64\x67\x65\x48\x54\x4D\x4C","\x45\x64\x67\x65","\x54\x72\x69\x64\x65\x6E\x74","\x57\x65\x62\x4B\x69\x74","\x41\x70\x70\x6C\x65\x57\x65\x62\x4B\x69\x74","\x69\x43\x61\x62","\x50\x72\x65\x73\x74\x6F","\x4E\x65\x74\x46\x72\x6F\x6E\x74","\x54\x61\x73\x6D\x61\x6E","\x4B\x48\x54\x4D\x4C","\x47\x65\x63\x6B\x6F","\x46\x61\x63\x65\x62\x6F\x6F\x6B\x20\x41\x70\x70","\x46\x42\x5F\x49\x41\x42\x2F\x46\x42\x34\x41\x3B\x46\x42\x41\x56","\x46\x42\x41\x4E\x2F\x46\x42\x49\x4F\x53\x3B\x46\x42\x44\x56","\x49\x6E\x73\x74\x61\x67\x72\x61\x6D\x20\x41\x70\x70","\x49\x6E\x73\x74\x61\x67\x72\x61\x6D","\x41\x64\x6F\x62\x65\x20\x41\x49\x52","\x41\x72\x6F\x72\x61","\x41\x76\x61\x6E\x74\x20\x42\x72\x6F\x77\x73\x65\x72","\x42\x72\x65\x61\x63\x68","\x43\x61\x6D\x69\x6E\x6F","\x45\x6C\x65\x63\x74\x72\x6F\x6E","\x45\x70\x69\x70\x68\x61\x6E\x79","\x46\x65\x6E\x6E\x65\x63","\x46\x6C\x6F\x63\x6B","\x47\x61\x6C\x65\x6F\x6E","\x47\x72\x65\x65\x6E\x42\x72\x6F\x77\x73\x65\x72","\x49\x63\x65\x77\x65\x61\x73\x65\x6C","\x4B\x2D\x4D\x65\x6C\x65\x6F\x6E","\x4B\x6F\x6E\x71\x75\x65\x72\x6F\x72","\x4C\x75\x6E\x61\x73\x63\x61\x70\x65","\x4D\x61\x78\x74\x68\x6F\x6E","\x4D\x69\x63\x72\x6F\x73\x6F\x66\x74\x20\x45\x64\x67\x65","\x28\x3F\x3A\x45\x64\x67\x65\x7C\x45\x64\x67\x7C\x45\x64\x67\x41\x7C\x45\x64\x67\x69\x4F\x53\x29","\x4D\x69\x64\x6F\x72\x69","\x4E\x6F\x6F\x6B\x20\x42\x72\x6F\x77\x73\x65\x72","\x50\x61\x6C\x65\x4D\x6F\x6F\x6E","\x50\x68\x61\x6E\x74\x6F\x6D\x4A\x53","\x52\x61\x76\x65\x6E","\x52\x65\x6B\x6F\x6E\x71","\x52\x6F\x63\x6B\x4D\x65\x6C\x74","\x53\x61\x6D\x73\x75\x6E\x67\x20\x49\x6E\x74\x65\x72\x6E\x65\x74","\x53\x61\x6D\x73\x75\x6E\x67\x42\x72\x6F\x77\x73\x65\x72","\x53\x65\x61\x4D\x6F\x6E\x6B\x65\x79","\x53\x69\x6C\x6B","\x28\x3F\x3A\x43\x6C\x6F\x75\x64\x39\x7C\x53\x69\x6C\x6B\x2D\x41\x63\x63\x65\x6C\x65\x72\x61\x74\x65\x64\x29","\x53\x6C\x65\x69\x70\x6E\x69\x72","\x53\x6C\x69\x6D\x42\x72\x6F\x77\x73\x65\x72","\x53\x52\x57\x61\x72\x65\x20\x49\x72\x6F\x6E","\x49\x72\x6F\x6E","\x53\x75\x6E\x72\x69\x73\x65","\x53\x77\x69\x66\x74\x66\x6F\x78","\x56\x69\x76\x61\x6C\x64\x69","\x57\x61\x74\x65\x72\x66\x6F\x78","\x57\x65\x62\x50\x6F\x73\x69\x74\x69\x76\x65","\x59\x61\x6E\x64\x65\x78\x20\x42\x72\x6F\x77\x73\x65\x72","\x59\x61\x42\x72\x6F\x77\x73\x65\x72","\x55\x43\x20\x42\x72\x6F\x77\x73\x65\x72","\x55\x43\x42\x72\x6F\x77\x73\x65\x72","\x4F\x70\x65\x72\x61\x20\x4D\x69\x6E\x69","\x4F\x50\x69\x4F\x53","\x4F\x70\x65\x72\x61","\x4F\x50\x52","\x43\x68\x72\x6F\x6D\x69\x75\x6D","\x43\x68\x72\x6F\x6D\x65","\x28\x3F\x3A\x48\x65\x61\x64\x6C\x65\x73\x73\x43\x68\x72\x6F\x6D\x65\x29","\x43\x68\x72\x6F\x6D\x65\x20\x4D\x6F\x62\x69\x6C\x65","\x28\x3F\x3A\x43\x72\x69\x4F\x53\x7C\x43\x72\x4D\x6F\x29","\x46\x69\x72\x65\x66\x6F\x78","\x28\x3F\x3A\x46\x69\x72\x65\x66\x6F\x78\x7C\x4D\x69\x6E\x65\x66\x69\x65\x6C\x64\x29","\x46\x69\x72\x65\x66\x6F\x78\x20\x66\x6F\x72\x20\x69\x4F\x53","\x46\x78\x69\x4F\x53","\x49\x45","\x49\x45\x4D\x6F\x62\x69\x6C\x65","\x4D\x53\x49\x45","\x53\x61\x66\x61\x72\x69","\x42\x6C\x61\x63\x6B\x42\x65\x72\x72\x79","\x42\x42\x31\x30","\x47\x61\x6C\x61\x78\x79\x20\x53","\x47\x54\x2D\x49\x39\x30\x30\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x32","\x47\x54\x2D\x49\x39\x31\x30\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x33","\x47\x54\x2D\x49\x39\x33\x30\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x34","\x47\x54\x2D\x49\x39\x35\x30\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x35","\x53\x4D\x2D\x47\x39\x30\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x36","\x53\x4D\x2D\x47\x39\x32\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x37","\x53\x4D\x2D\x47\x39\x33\x30","\x47\x61\x6C\x61\x78\x79\x20\x53\x37\x20\x45\x64\x67\x65","\x53\x4D\x2D\x47\x39\x33\x35","\x41\x73\x75\x73\x20\x52\x4F\x47\x20\x50\x68\x6F\x6E\x65\x20\x33","\x41\x53\x55\x53\x5F\x49\x30\x30\x33\x44","\x41\x73\x75\x73\x20\x52\x4F\x47\x20\x50\x68\x6F\x6E\x65\x20\x35","\x41\x53\x55\x53\x5F\x49\x30\x30\x35\x44","\x41\x53\x55\x53\x5F\x49\x30\x30\x35\x44\x41","\x41\x73\x75\x73\x20\x5A\x65\x6E\x66\x6F\x6E\x65\x20\x36","\x41\x53\x55\x53\x5F\x49\x30\x31\x57\x44","\x41\x73\x75\x73\x20\x5A\x65\x6E\x66\x6F\x6E\x65\x20\x37\x20\x50\x72\x6F","\x41\x53\x55\x53\x5F\x49\x30\x30\x32\x44","\x41\x73\x75\x73\x20\x5A\x65\x6E\x66\x6F\x6E\x65\x20\x38","\x41\x53\x55\x53\x5F\x49\x30\x30\x36\x44","\x41\x73\x75\x73\x20\x5A\x65\x6E\x66\x6F\x6E\x65\x20\x38\x20\x46\x6C\x69\x70","\x41\x53\x55\x53\x5F\x49\x30\x30\x34\x44","\x41\x73\x75\x73\x20\x5A\x65\x6E\x66\x6F\x6E\x65\x20\x39","\x41\x53\x55\x53\x5F\x41\x49\x32\x32\x30\x32","\x49\x6E\x66\x69\x6E\x69\x78\x20\x4E\x6F\x74\x65\x20\x31\x32","\x49\x6E\x66\x69\x6E\x69\x78\x20\x58\x36\x37\x30","\x4C\x47\x20\x56\x36\x30\x20\x54\x68\x69\x6E\x51\x20\x35\x47","\x4C\x4D\x2D\x56\x36\x30\x30","\x4C\x47\x20\x56\x65\x6C\x76\x65\x74\x20\x35\x47","\x4C\x4D\x2D\x47\x39\x30\x30","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x45\x64\x67\x65","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x65\x64\x67\x65","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x45\x64\x67\x65\x20\x32\x30","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x65\x64\x67\x65\x20\x32\x30","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x45\x64\x67\x65\x20\x32\x30\x20\x4C\x69\x74\x65","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x65\x64\x67\x65\x20\x32\x30\x20\x6C\x69\x74\x65","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x45\x64\x67\x65\x20\x32\x30\x20\x50\x72\x6F","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x65\x64\x67\x65\x20\x32\x30\x20\x70\x72\x6F","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x45\x64\x67\x65\x20\x33\x30","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x65\x64\x67\x65\x20\x33\x30","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x47\x20\x38","\x6D\x6F\x74\x6F\x20\x67\x28\x38\x29","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x47\x20\x38\x20\x50\x6F\x77\x65\x72","\x6D\x6F\x74\x6F\x20\x67\x28\x38\x29\x20\x70\x6F\x77\x65\x72","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x47\x20\x39\x20\x50\x6C\x61\x79","\x6D\x6F\x74\x6F\x20\x67\x28\x39\x29\x20\x70\x6C\x61\x79","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x47\x20\x53\x74\x79\x6C\x75\x73","\x6D\x6F\x74\x6F\x20\x67\x20\x73\x74\x79\x6C\x75\x73","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x20\x50\x72\x6F","\x6D\x6F\x74\x6F\x20\x67\x20\x70\x72\x6F","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x31\x30\x30","\x6D\x6F\x74\x6F\x20\x67\x28\x31\x30\x30\x29","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x32\x30\x30\x20\x35\x47","\x6D\x6F\x74\x6F\x20\x67\x32\x30\x30\x20\x35\x47","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x32\x32","\x6D\x6F\x74\x6F\x20\x67\x32\x32","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x33\x30","\x6D\x6F\x74\x6F\x20\x67\x28\x33\x30\x29","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x35\x30","\x6D\x6F\x74\x6F\x20\x67\x28\x35\x30\x29","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x35\x30\x20\x35\x47","\x6D\x6F\x74\x6F\x20\x67\x28\x35\x30\x29\x20\x35\x47","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x35\x32","\x6D\x6F\x74\x6F\x20\x67\x35\x32","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x36\x30","\x6D\x6F\x74\x6F\x20\x67\x28\x36\x30\x29","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x36\x32\x20\x35\x47","\x6D\x6F\x74\x6F\x20\x67\x36\x32\x20\x35\x47","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4D\x6F\x74\x6F\x20\x47\x37\x31\x20\x35\x47","\x6D\x6F\x74\x6F\x20\x67\x37\x31\x20\x35\x47","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4F\x6E\x65\x20\x35\x47\x20\x55\x57\x20\x41\x63\x65","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x6F\x6E\x65\x20\x35\x47\x20\x55\x57\x20\x61\x63\x65","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x4F\x6E\x65\x20\x41\x63\x74\x69\x6F\x6E","\x6D\x6F\x74\x6F\x72\x6F\x6C\x61\x20\x6F\x6E\x65\x20\x61\x63\x74\x69\x6F\x6E","\x4E\x6F\x6B\x69\x61\x20\x32\x2E\x34","\x4E\x6F\x6B\x69\x61\x20\x33\x2E\x32","\x4E\x6F\x6B\x69\x61\x20\x33\x2E\x34","\x4E\x6F\x6B\x69\x61\x20\x34\x2E\x32","\x4E\x6F\x6B\x69\x61\x20\x35\x2E\x34","\x4E\x6F\x6B\x69\x61\x20\x38\x2E\x33","\x4E\x6F\x6B\x69\x61\x20\x38\x2E\x33\x20\x35\x47","\x4E\x6F\x6B\x69\x61\x20\x47\x31\x30","\x4E\x6F\x6B\x69\x61\x20\x47\x32\x30","\x4E\x6F\x6B\x69\x61\x20\x47\x35\x30","\x4E\x6F\x6B\x69\x61\x20\x58\x31\x30","\x4E\x6F\x6B\x69\x61\x20\x58\x32\x30","\x4E\x6F\x6B\x69\x61\x20\x58\x52\x32\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x31\x30\x20\x50\x72\x6F","\x4E\x45\x32\x32\x31\x33","\x4E\x45\x32\x32\x31\x35","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x31\x30\x54","\x43\x50\x48\x32\x34\x31\x35","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x31\x31","\x43\x50\x48\x32\x34\x34\x39","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x37","\x47\x4D\x31\x39\x30\x33","\x47\x4D\x31\x39\x30\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x37\x20\x50\x72\x6F","\x47\x4D\x31\x39\x31\x37","\x47\x4D\x31\x39\x31\x33","\x47\x4D\x31\x39\x31\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x37\x54","\x48\x44\x31\x39\x30\x33","\x48\x44\x31\x39\x30\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x37\x54\x20\x50\x72\x6F","\x48\x44\x31\x39\x31\x33","\x48\x44\x31\x39\x31\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x38","\x49\x4E\x32\x30\x31\x33","\x49\x4E\x32\x30\x31\x31","\x49\x4E\x32\x30\x31\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x38\x20\x50\x72\x6F","\x49\x4E\x32\x30\x32\x33","\x49\x4E\x32\x30\x32\x35","\x49\x4E\x32\x30\x32\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x38\x54","\x4B\x42\x32\x30\x30\x35","\x4B\x42\x32\x30\x30\x33","\x4B\x42\x32\x30\x30\x31","\x4B\x42\x32\x30\x30\x30","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x39","\x4C\x45\x32\x31\x31\x35","\x4C\x45\x32\x31\x31\x33","\x4C\x45\x32\x31\x31\x31","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x39\x20\x50\x72\x6F","\x4C\x45\x32\x31\x32\x35","\x4C\x45\x32\x31\x32\x33","\x4C\x45\x32\x31\x32\x31","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x39\x52","\x4C\x45\x32\x31\x30\x31","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x4E\x6F\x72\x64","\x41\x43\x32\x30\x30\x33","\x41\x43\x32\x30\x30\x31","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x4E\x6F\x72\x64\x20\x32\x20\x35\x47","\x44\x4E\x32\x31\x30\x33","\x44\x4E\x32\x31\x30\x31","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x4E\x6F\x72\x64\x20\x32\x54","\x43\x50\x48\x32\x33\x39\x39","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x4E\x6F\x72\x64\x20\x43\x45\x20\x32\x20\x4C\x69\x74\x65\x20\x35\x47","\x43\x50\x48\x32\x34\x30\x39","\x4F\x6E\x65\x50\x6C\x75\x73\x20\x4E\x6F\x72\x64\x20\x43\x45\x20\x35\x47","\x45\x42\x32\x31\x30\x33","\x4F\x70\x70\x6F\x20\x41\x31\x36","\x43\x50\x48\x32\x32\x36\x39","\x4F\x70\x70\x6F\x20\x41\x31\x36\x73","\x43\x50\x48\x32\x32\x37\x31","\x4F\x70\x70\x6F\x20\x41\x35\x32","\x43\x50\x48\x32\x30\x36\x39","\x4F\x70\x70\x6F\x20\x41\x35\x33","\x43\x50\x48\x32\x31\x32\x37","\x4F\x70\x70\x6F\x20\x41\x35\x33\x73","\x43\x50\x48\x32\x31\x33\x35","\x4F\x70\x70\x6F\x20\x41\x35\x34\x20\x35\x47","\x43\x50\x48\x32\x31\x39\x35","\x4F\x70\x70\x6F\x20\x41\x35\x34\x73","\x43\x50\x48\x32\x32\x37\x33","\x4F\x70\x70\x6F\x20\x41\x37\x32","\x43\x50\x48\x32\x30\x36\x37","\x4F\x70\x70\x6F\x20\x41\x37\x33\x20\x35\x47","\x43\x50\x48\x32\x31\x36\x31","\x4F\x70\x70\x6F\x20\x41\x37\x34\x20\x35\x47","\x43\x50\x48\x32\x31\x39\x37","\x4F\x70\x70\x6F\x20\x41\x37\x36","\x43\x50\x48\x32\x33\x37\x35","\x4F\x70\x70\x6F\x20\x41\x37\x37","\x43\x50\x48\x32\x33\x33\x39","\x4F\x70\x70\x6F\x20\x41\x39","\x43\x50\x48\x31\x39\x34\x31","\x4F\x70\x70\x6F\x20\x41\x39\x31","\x43\x50\x48\x32\x30\x32\x31","\x4F\x70\x70\x6F\x20\x41\x39\x34","\x43\x50\x48\x32\x32\x30\x33","\x4F\x70\x70\x6F\x20\x41\x39\x34\x20\x35\x47","\x43\x50\x48\x32\x32\x31\x31","\x4F\x70\x70\x6F\x20\x41\x39\x35","\x43\x50\x48\x32\x33\x36\x35","\x4F\x70\x70\x6F\x20\x41\x39\x36","\x43\x50\x48\x32\x33\x33\x33","\x4F\x70\x70\x6F\x20\x46\x31\x37","\x43\x50\x48\x32\x30\x39\x35","\x4F\x70\x70\x6F\x20\x46\x31\x37\x20\x50\x72\x6F","\x43\x50\x48\x32\x31\x31\x39","\x4F\x70\x70\x6F\x20\x46\x31\x39","\x43\x50\x48\x32\x32\x31\x39","\x4F\x70\x70\x6F\x20\x46\x31\x39\x20\x50\x72\x6F","\x43\x50\x48\x32\x32\x38\x35","\x4F\x70\x70\x6F\x20\x46\x32\x31\x20\x50\x72\x6F","\x43\x50\x48\x32\x34\x36\x31","\x43\x50\x48\x32\x33\x36\x33","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x32\x20\x4C\x69\x74\x65","\x43\x50\x48\x32\x30\x30\x35","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x32\x20\x4E\x65\x6F","\x43\x50\x48\x32\x30\x30\x39","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x32\x20\x50\x72\x6F","\x43\x50\x48\x32\x30\x32\x35","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x33\x20\x4C\x69\x74\x65","\x43\x50\x48\x32\x31\x34\x35","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x33\x20\x4E\x65\x6F","\x43\x50\x48\x32\x32\x30\x37","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x33\x20\x50\x72\x6F","\x43\x50\x48\x32\x31\x37\x33","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x35","\x43\x50\x48\x32\x33\x30\x37","\x4F\x70\x70\x6F\x20\x46\x69\x6E\x64\x20\x58\x35\x20\x50\x72\x6F","\x43\x50\x48\x32\x33\x30\x35","\x4F\x70\x70\x6F\x20\x4B\x31\x30","\x43\x50\x48\x32\x33\x37\x33","\x4F\x70\x70\x6F\x20\x4B\x31\x30\x20\x35\x47","\x43\x50\x48\x32\x33\x33\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F","\x43\x50\x48\x31\x39\x31\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x32","\x43\x50\x48\x31\x39\x30\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x32\x20\x5A","\x43\x50\x48\x31\x39\x35\x31","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x33","\x43\x50\x48\x32\x30\x34\x33","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34","\x43\x50\x48\x32\x31\x31\x33","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34\x20\x35\x47","\x43\x50\x48\x32\x30\x39\x31","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34\x20\x4C\x69\x74\x65","\x43\x50\x48\x32\x31\x32\x35","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34\x20\x50\x72\x6F","\x43\x50\x48\x32\x31\x30\x39","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34\x20\x50\x72\x6F\x20\x35\x47","\x43\x50\x48\x32\x30\x38\x39","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x34\x20\x5A\x20\x35\x47","\x43\x50\x48\x32\x30\x36\x35","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x35\x20\x34\x47","\x43\x50\x48\x32\x31\x35\x39","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x35\x20\x35\x47","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x35\x20\x4C\x69\x74\x65","\x43\x50\x48\x32\x32\x30\x35","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x36\x20\x35\x47","\x43\x50\x48\x32\x32\x35\x31","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x36\x20\x50\x72\x6F\x20\x35\x47","\x43\x50\x48\x32\x32\x34\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x36\x20\x5A","\x43\x50\x48\x32\x32\x33\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x37","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x37\x20\x35\x47","\x43\x50\x48\x32\x33\x37\x31","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x37\x20\x50\x72\x6F\x20\x35\x47","\x43\x50\x48\x32\x32\x39\x33","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x37\x20\x5A\x20\x35\x47","\x43\x50\x48\x32\x33\x34\x33","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x38","\x43\x50\x48\x32\x33\x35\x39","\x4F\x70\x70\x6F\x20\x52\x65\x6E\x6F\x38\x20\x50\x72\x6F","\x43\x50\x48\x32\x33\x35\x37","\x50\x69\x78\x65\x6C\x20\x33","\x50\x69\x78\x65\x6C\x20\x33\x20\x58\x4C","\x50\x69\x78\x65\x6C\x20\x33\x61","\x50\x69\x78\x65\x6C\x20\x33\x61\x20\x58\x4C","\x50\x69\x78\x65\x6C\x20\x34","\x50\x69\x78\x65\x6C\x20\x34\x20\x58\x4C","\x50\x69\x78\x65\x6C\x20\x34\x61","\x50\x69\x78\x65\x6C\x20\x34\x61\x20\x28\x35\x47\x29","\x50\x69\x78\x65\x6C\x20\x35","\x50\x69\x78\x65\x6C\x20\x35\x61","\x50\x69\x78\x65\x6C\x20\x36","\x50\x69\x78\x65\x6C\x20\x36\x20\x50\x72\x6F","\x50\x69\x78\x65\x6C\x20\x36\x61","\x50\x69\x78\x65\x6C\x20\x37","\x50\x69\x78\x65\x6C\x20\x37\x20\x50\x72\x6F","\x52\x65\x61\x6C\x6D\x65\x20\x36","\x52\x4D\x58\x32\x30\x30\x31","\x52\x65\x61\x6C\x6D\x65\x20\x36\x20\x50\x72\x6F","\x52\x4D\x58\x32\x30\x36\x33","\x52\x65\x61\x6C\x6D\x65\x20\x37\x20\x35\x47","\x52\x4D\x58\x32\x31\x31\x31","\x52\x65\x61\x6C\x6D\x65\x20\x37\x20\x50\x72\x6F","\x52\x4D\x58\x32\x31\x37\x30","\x52\x65\x61\x6C\x6D\x65\x20\x38","\x52\x4D\x58\x33\x30\x38\x35","\x52\x65\x61\x6C\x6D\x65\x20\x38\x20\x35\x47","\x52\x4D\x58\x33\x32\x34\x31","\x52\x65\x61\x6C\x6D\x65\x20\x38\x20\x50\x72\x6F","\x52\x4D\x58\x33\x30\x38\x31","\x52\x65\x61\x6C\x6D\x65\x20\x38\x69","\x52\x4D\x58\x33\x31\x35\x31","\x52\x65\x61\x6C\x6D\x65\x20\x39","\x52\x4D\x58\x33\x35\x32\x31","\x52\x65\x61\x6C\x6D\x65\x20\x39\x20\x50\x72\x6F","\x52\x4D\x58\x33\x34\x37\x32","\x52\x65\x61\x6C\x6D\x65\x20\x39\x20\x50\x72\x6F\x2B","\x52\x4D\x58\x33\x33\x39\x33","\x52\x4D\x58\x33\x33\x39\x32","\x52\x65\x61\x6C\x6D\x65\x20\x43\x32\x31","\x52\x4D\x58\x33\x32\x30\x31","\x52\x65\x61\x6C\x6D\x65\x20\x43\x32\x35","\x52\x4D\x58\x33\x31\x39\x31","\x52\x65\x61\x6C\x6D\x65\x20\x43\x32\x35\x73","\x52\x4D\x58\x33\x31\x39\x35","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x20\x35\x47","\x52\x4D\x58\x32\x32\x30\x32","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x20\x4D\x61\x73\x74\x65\x72","\x52\x4D\x58\x33\x33\x36\x33","\x52\x4D\x58\x33\x33\x36\x30","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x20\x4E\x65\x6F\x20\x33","\x52\x4D\x58\x33\x35\x36\x31","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x20\x4E\x65\x6F\x20\x33\x20\x31\x35\x30\x57","\x52\x4D\x58\x33\x35\x36\x33","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x20\x4E\x65\x6F\x32","\x52\x4D\x58\x33\x33\x37\x30","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x32","\x52\x4D\x58\x33\x33\x31\x31","\x52\x65\x61\x6C\x6D\x65\x20\x47\x54\x32\x20\x50\x72\x6F","\x52\x4D\x58\x33\x33\x30\x31","\x52\x65\x61\x6C\x6D\x65\x20\x4E\x61\x72\x7A\x6F\x20\x33\x30\x20\x35\x47","\x52\x4D\x58\x33\x32\x34\x32","\x52\x65\x61\x6C\x6D\x65\x20\x4E\x61\x72\x7A\x6F\x20\x35\x30\x20\x35\x47","\x52\x4D\x58\x33\x35\x37\x32","\x52\x65\x61\x6C\x6D\x65\x20\x58\x32\x20\x50\x72\x6F","\x52\x4D\x58\x31\x39\x33\x31","\x52\x65\x61\x6C\x6D\x65\x20\x58\x35\x30\x20\x50\x72\x6F\x20\x35\x47","\x52\x4D\x58\x32\x30\x37\x35","\x52\x65\x61\x6C\x6D\x65\x20\x58\x37\x20\x50\x72\x6F","\x52\x4D\x58\x32\x31\x32\x31","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x30\x32\x73","\x53\x4D\x2D\x41\x30\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x30\x33","\x53\x4D\x2D\x41\x30\x33\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x30\x33\x73","\x53\x4D\x2D\x41\x30\x33\x37\x46","\x53\x4D\x2D\x41\x30\x33\x37\x47","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x30\x34\x73","\x53\x4D\x2D\x41\x30\x34\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x32","\x53\x4D\x2D\x41\x31\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x32\x20\x4E\x61\x63\x68\x6F","\x53\x4D\x2D\x41\x31\x32\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x33","\x53\x4D\x2D\x41\x31\x33\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x33\x20\x35\x47","\x53\x4D\x2D\x41\x31\x33\x36\x42","\x53\x4D\x2D\x41\x31\x33\x36\x55","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x33\x37","\x53\x4D\x2D\x41\x31\x33\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x31\x34\x20\x35\x47","\x53\x4D\x2D\x41\x31\x34\x36\x55","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x32\x31\x73","\x53\x4D\x2D\x41\x32\x31\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x32\x32","\x53\x4D\x2D\x41\x32\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x32\x32\x20\x35\x47","\x53\x4D\x2D\x41\x32\x32\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x32\x33","\x53\x4D\x2D\x41\x32\x33\x35\x46","\x53\x4D\x2D\x41\x32\x33\x35\x4D","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x32\x33\x20\x35\x47","\x53\x4D\x2D\x41\x32\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x33\x31","\x53\x4D\x2D\x41\x33\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x33\x32","\x53\x4D\x2D\x41\x33\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x33\x32\x20\x35\x47","\x53\x4D\x2D\x41\x33\x32\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x33\x33\x20\x35\x47","\x53\x4D\x2D\x41\x33\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x34\x30","\x53\x4D\x2D\x41\x34\x30\x35\x46\x4E","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x34\x31","\x53\x4D\x2D\x41\x34\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x34\x32\x20\x35\x47","\x53\x4D\x2D\x41\x34\x32\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x31","\x53\x4D\x2D\x41\x35\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x31\x20\x35\x47","\x53\x4D\x2D\x41\x35\x31\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x32","\x53\x4D\x2D\x41\x35\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x32\x20\x35\x47","\x53\x4D\x2D\x41\x35\x32\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x32\x73\x20\x35\x47","\x53\x4D\x2D\x41\x35\x32\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x35\x33\x20\x35\x47","\x53\x4D\x2D\x41\x35\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x37\x30","\x53\x4D\x2D\x41\x37\x30\x35\x46\x4E","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x37\x31","\x53\x4D\x2D\x41\x37\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x37\x32","\x53\x4D\x2D\x41\x37\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x37\x33\x20\x35\x47","\x53\x4D\x2D\x41\x37\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x41\x39\x30\x20\x35\x47","\x53\x4D\x2D\x41\x39\x30\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x46\x31\x33","\x53\x4D\x2D\x45\x31\x33\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x46\x32\x32","\x53\x4D\x2D\x45\x32\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x46\x32\x33","\x53\x4D\x2D\x45\x32\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x46\x36\x32","\x53\x4D\x2D\x45\x36\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x31\x31","\x53\x4D\x2D\x4D\x31\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x31\x32","\x53\x4D\x2D\x4D\x31\x32\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x31\x33","\x53\x4D\x2D\x4D\x31\x33\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x32\x31","\x53\x4D\x2D\x4D\x32\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x32\x31\x73","\x53\x4D\x2D\x46\x34\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x32\x32","\x53\x4D\x2D\x4D\x32\x32\x35\x46\x56","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x32\x33","\x53\x4D\x2D\x4D\x32\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x33\x31","\x53\x4D\x2D\x4D\x33\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x33\x31\x73","\x53\x4D\x2D\x4D\x33\x31\x37\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x33\x32","\x53\x4D\x2D\x4D\x33\x32\x35\x46","\x53\x4D\x2D\x4D\x33\x32\x35\x46\x56","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x33\x33","\x53\x4D\x2D\x4D\x33\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x35\x31","\x53\x4D\x2D\x4D\x35\x31\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x35\x32\x20\x35\x47","\x53\x4D\x2D\x4D\x35\x32\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x35\x33","\x53\x4D\x2D\x4D\x35\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4D\x36\x32","\x53\x4D\x2D\x4D\x36\x32\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x20\x31\x30","\x53\x4D\x2D\x4E\x39\x37\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x20\x31\x30\x2B","\x53\x4D\x2D\x4E\x39\x37\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x20\x31\x30\x2B\x20\x35\x47","\x53\x4D\x2D\x4E\x39\x37\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x31\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x31\x30\x20\x35\x47","\x53\x4D\x2D\x4E\x39\x37\x31\x55","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x31\x30\x20\x4C\x69\x74\x65","\x53\x4D\x2D\x4E\x37\x37\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x31\x30\x2B","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x31\x30\x2B\x20\x35\x47","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x32\x30","\x53\x4D\x2D\x4E\x39\x38\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x32\x30\x20\x35\x47","\x53\x4D\x2D\x4E\x39\x38\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x32\x30\x20\x55\x6C\x74\x72\x61","\x53\x4D\x2D\x4E\x39\x38\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x4E\x6F\x74\x65\x32\x30\x20\x55\x6C\x74\x72\x61\x20\x35\x47","\x53\x4D\x2D\x4E\x39\x38\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x31\x30","\x53\x4D\x2D\x47\x39\x37\x33\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x31\x30\x20\x35\x47","\x53\x4D\x2D\x47\x39\x37\x37\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x31\x30\x20\x4C\x69\x74\x65","\x53\x4D\x2D\x47\x37\x37\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x31\x30\x2B","\x53\x4D\x2D\x47\x39\x37\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x31\x30\x65","\x53\x4D\x2D\x47\x39\x37\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30","\x53\x4D\x2D\x47\x39\x38\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x20\x35\x47","\x53\x4D\x2D\x47\x39\x38\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x20\x46\x45","\x53\x4D\x2D\x47\x37\x38\x30\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x20\x46\x45\x20\x35\x47","\x53\x4D\x2D\x47\x37\x38\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x20\x55\x6C\x74\x72\x61","\x53\x4D\x2D\x47\x39\x38\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x20\x55\x6C\x74\x72\x61\x20\x35\x47","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x2B","\x53\x4D\x2D\x47\x39\x38\x35\x46","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x30\x2B\x20\x35\x47","\x53\x4D\x2D\x47\x39\x38\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x31\x20\x35\x47","\x53\x4D\x2D\x47\x39\x39\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x31\x20\x46\x45\x20\x35\x47","\x53\x4D\x2D\x47\x39\x39\x30\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x31\x20\x55\x6C\x74\x72\x61\x20\x35\x47","\x53\x4D\x2D\x47\x39\x39\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x31\x2B\x20\x35\x47","\x53\x4D\x2D\x47\x39\x39\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x32\x20\x35\x47","\x53\x4D\x2D\x53\x39\x30\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x32\x20\x55\x6C\x74\x72\x61\x20\x35\x47","\x53\x4D\x2D\x53\x39\x30\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x32\x2B\x20\x35\x47","\x53\x4D\x2D\x53\x39\x30\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x33","\x53\x4D\x2D\x53\x39\x31\x31\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x33\x20\x55\x6C\x74\x72\x61","\x53\x4D\x2D\x53\x39\x31\x38\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x53\x32\x33\x2B","\x53\x4D\x2D\x53\x39\x31\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x31\x30\x2E\x31\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x35\x31\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x31\x30\x2E\x31\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x35\x31\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x38\x2E\x30\x20\x26\x20\x53\x20\x50\x65\x6E\x20\x4C\x54\x45","\x53\x4D\x2D\x50\x32\x30\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x38\x2E\x30\x20\x26\x20\x53\x20\x50\x65\x6E\x20\x57\x49\x46\x49","\x53\x4D\x2D\x50\x32\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x38\x2E\x30\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x32\x39\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x38\x2E\x30\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x32\x39\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x20\x38\x2E\x34","\x53\x4D\x2D\x54\x33\x30\x37\x55","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x37\x20\x31\x30\x2E\x34\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x35\x30\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x37\x20\x31\x30\x2E\x34\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x35\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x37\x20\x4C\x69\x74\x65\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x32\x32\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x37\x20\x4C\x69\x74\x65\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x32\x32\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x38\x20\x31\x30\x2E\x35\x20\x28\x32\x30\x32\x31\x29\x20\x4C\x54\x45","\x53\x4D\x2D\x58\x32\x30\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x38\x20\x31\x30\x2E\x35\x20\x28\x32\x30\x32\x31\x29\x20\x57\x49\x46\x49","\x53\x4D\x2D\x58\x32\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x41\x63\x74\x69\x76\x65\x33","\x53\x4D\x2D\x54\x35\x37\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x35\x65\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x37\x32\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x35\x65\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x37\x32\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x4C\x69\x74\x65\x20\x28\x32\x30\x32\x32\x29\x20\x4C\x54\x45","\x53\x4D\x2D\x50\x36\x31\x39","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x4C\x69\x74\x65\x20\x28\x32\x30\x32\x32\x29\x20\x57\x49\x46\x49","\x53\x4D\x2D\x50\x36\x31\x33","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x4C\x69\x74\x65\x20\x4C\x54\x45","\x53\x4D\x2D\x50\x36\x31\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x4C\x69\x74\x65\x20\x57\x49\x46\x49","\x53\x4D\x2D\x50\x36\x31\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x38\x36\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x36\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x38\x36\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x20\x35\x47","\x53\x4D\x2D\x54\x38\x37\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x20\x46\x45\x20\x35\x47","\x53\x4D\x2D\x54\x37\x33\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x20\x46\x45\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x37\x33\x33","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x20\x4C\x54\x45","\x53\x4D\x2D\x54\x38\x37\x35","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x38\x37\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x2B\x20\x35\x47","\x53\x4D\x2D\x54\x39\x37\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x37\x2B\x20\x57\x49\x46\x49","\x53\x4D\x2D\x54\x39\x37\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x20\x35\x47","\x53\x4D\x2D\x58\x37\x30\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x20\x55\x6C\x74\x72\x61\x20\x35\x47","\x53\x4D\x2D\x58\x39\x30\x36","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x20\x55\x6C\x74\x72\x61\x20\x57\x49\x46\x49","\x53\x4D\x2D\x58\x39\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x20\x57\x49\x46\x49","\x53\x4D\x2D\x58\x37\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x2B\x20\x35\x47","\x53\x4D\x2D\x58\x38\x30\x36\x42","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x54\x61\x62\x20\x53\x38\x2B\x20\x57\x49\x46\x49","\x53\x4D\x2D\x58\x38\x30\x30","\x53\x61\x6D\x73\x75\x6E\x67\x20\x47\x61\x6C\x61\x78\x79\x20\x58\x63\x6F\x76\x65\x72\x36\x20\x50\x72\x6F","\x53\x4D\x2D\x47\x37\x33\x36\x42","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31","\x4A\x39\x31\x31\x30","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x20\x49\x49","\x58\x51\x2D\x41\x54\x35\x32","\x58\x51\x2D\x41\x54\x35\x31","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x20\x49\x49\x49","\x58\x51\x2D\x42\x43\x35\x32","\x58\x51\x2D\x42\x43\x37\x32","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x20\x49\x56","\x58\x51\x2D\x43\x54\x35\x34","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x30\x20\x49\x49","\x58\x51\x2D\x41\x55\x35\x32","\x58\x51\x2D\x41\x55\x35\x31","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x30\x20\x49\x49\x49","\x58\x51\x2D\x42\x54\x35\x32","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x31\x30\x20\x49\x56","\x58\x51\x2D\x43\x43\x35\x34","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x35","\x4A\x39\x32\x31\x30","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x35\x20\x49\x49","\x58\x51\x2D\x41\x53\x37\x32","\x58\x51\x2D\x41\x53\x35\x32","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x35\x20\x49\x49\x49","\x58\x51\x2D\x42\x51\x37\x32","\x58\x51\x2D\x42\x51\x35\x32","\x53\x6F\x6E\x79\x20\x58\x70\x65\x72\x69\x61\x20\x35\x20\x49\x56","\x58\x51\x2D\x43\x51\x35\x34","\x56\x69\x76\x6F\x20\x53\x31","\x76\x69\x76\x6F\x20\x31\x39\x30\x37","\x56\x69\x76\x6F\x20\x53\x31\x20\x50\x72\x6F","\x76\x69\x76\x6F\x20\x31\x39\x32\x30","\x56\x69\x76\x6F\x20\x56\x31\x37\x20\x50\x72\x6F","\x76\x69\x76\x6F\x20\x31\x39\x30\x39","\x56\x69\x76\x6F\x20\x56\x32\x30","\x56\x32\x30\x32\x35","\x56\x69\x76\x6F\x20\x56\x32\x30\x20\x50\x72\x6F","\x76\x69\x76\x6F\x20\x32\x30\x31\x38","\x56\x69\x76\x6F\x20\x56\x32\x30\x20\x53\x45","\x56\x32\x30\x32\x33","\x56\x69\x76\x6F\x20\x56\x32\x31","\x56\x32\x30\x36\x36","\x56\x69\x76\x6F\x20\x56\x32\x31\x20\x35\x47","\x56\x32\x30\x35\x30","\x56\x69\x76\x6F\x20\x56\x32\x31\x65","\x56\x32\x30\x36\x31","\x56\x69\x76\x6F\x20\x56\x32\x33\x20\x35\x47","\x56\x32\x31\x33\x30","\x56\x69\x76\x6F\x20\x58\x35\x30\x20\x35\x47","\x76\x69\x76\x6F\x20\x32\x30\x30\x35","\x56\x69\x76\x6F\x20\x58\x35\x30\x20\x50\x72\x6F","\x76\x69\x76\x6F\x20\x32\x30\x30\x36","\x56\x69\x76\x6F\x20\x58\x36\x30\x20\x50\x72\x6F","\x56\x32\x30\x34\x36","\x56\x69\x76\x6F\x20\x58\x37\x30\x20\x50\x72\x6F","\x56\x32\x31\x30\x35","\x56\x69\x76\x6F\x20\x58\x37\x30\x20\x50\x72\x6F\x2B","\x56\x32\x31\x34\x35\x41","\x56\x69\x76\x6F\x20\x58\x38\x30\x20\x50\x72\x6F","\x56\x32\x31\x34\x35","\x56\x69\x76\x6F\x20\x59\x31\x35\x73","\x56\x32\x31\x32\x30","\x56\x69\x76\x6F\x20\x59\x31\x39","\x76\x69\x76\x6F\x20\x31\x39\x31\x35","\x56\x69\x76\x6F\x20\x59\x32\x30\x47","\x56\x32\x30\x33\x37","\x56\x69\x76\x6F\x20\x59\x32\x31","\x56\x32\x31\x31\x31","\x56\x69\x76\x6F\x20\x59\x32\x31\x73","\x56\x32\x31\x31\x30","\x56\x69\x76\x6F\x20\x59\x33\x31","\x56\x32\x30\x33\x36","\x56\x69\x76\x6F\x20\x59\x33\x33\x73","\x56\x32\x31\x30\x39","\x56\x69\x76\x6F\x20\x59\x35\x32\x20\x35\x47","\x56\x32\x30\x35\x33","\x56\x69\x76\x6F\x20\x59\x35\x33\x73","\x56\x32\x30\x35\x38","\x56\x69\x76\x6F\x20\x59\x35\x35\x20\x35\x47","\x56\x32\x31\x32\x37","\x56\x69\x76\x6F\x20\x59\x37\x32\x20\x35\x47","\x56\x32\x30\x34\x31","\x56\x69\x76\x6F\x20\x59\x37\x36\x20\x35\x47","\x56\x32\x31\x32\x34","\x58\x69\x61\x6F\x6D\x69\x20\x31\x31\x20\x4C\x69\x74\x65\x20\x35\x47\x20\x4E\x45","\x32\x31\x30\x39\x31\x31\x39\x44\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x31\x54","\x32\x31\x30\x38\x31\x31\x31\x31\x52\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x31\x54\x20\x50\x72\x6F","\x32\x31\x30\x37\x31\x31\x33\x53\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x32","\x32\x32\x30\x31\x31\x32\x33\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x32\x20\x4C\x69\x74\x65","\x32\x32\x30\x33\x31\x32\x39\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x32\x20\x50\x72\x6F","\x32\x32\x30\x31\x31\x32\x32\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x32\x54","\x32\x32\x30\x37\x31\x32\x31\x32\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x31\x32\x54\x20\x50\x72\x6F","\x32\x32\x30\x38\x31\x32\x31\x32\x55\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x30","\x4D\x69\x20\x31\x30","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x30\x20\x4C\x69\x74\x65\x20\x35\x47","\x4D\x32\x30\x30\x32\x4A\x39\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x30\x54\x20\x35\x47","\x4D\x32\x30\x30\x37\x4A\x33\x53\x59","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x30\x54\x20\x4C\x69\x74\x65\x20\x35\x47","\x4D\x32\x30\x30\x37\x4A\x31\x37\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x30\x54\x20\x50\x72\x6F\x20\x35\x47","\x4D\x32\x30\x30\x37\x4A\x33\x53\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31","\x4D\x32\x30\x31\x31\x4B\x32\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31\x20\x4C\x69\x74\x65","\x4D\x32\x31\x30\x31\x4B\x39\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31\x20\x4C\x69\x74\x65\x20\x35\x47","\x4D\x32\x31\x30\x31\x4B\x39\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31\x20\x55\x6C\x74\x72\x61","\x4D\x32\x31\x30\x32\x4B\x31\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31\x69","\x4D\x32\x30\x31\x32\x4B\x31\x31\x47","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x31\x31\x54\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x39","\x4D\x49\x20\x39","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x39\x20\x4C\x69\x74\x65","\x4D\x69\x20\x39\x20\x4C\x69\x74\x65","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x39\x54","\x4D\x69\x20\x39\x54","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x4B\x32\x30\x20\x50\x72\x6F","\x52\x65\x64\x6D\x69\x20\x4B\x32\x30\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30","\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x4C\x69\x74\x65","\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x4C\x69\x74\x65","\x58\x69\x61\x6F\x6D\x69\x20\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x50\x72\x6F","\x4D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x46\x32\x20\x50\x72\x6F","\x50\x4F\x43\x4F\x20\x46\x32\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x46\x33","\x4D\x32\x30\x31\x32\x4B\x31\x31\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x46\x34","\x32\x32\x30\x32\x31\x32\x31\x31\x52\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x46\x34\x20\x47\x54","\x32\x31\x31\x32\x31\x32\x31\x30\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x4D\x33\x20\x50\x72\x6F\x20\x35\x47","\x4D\x32\x31\x30\x33\x4B\x31\x39\x50\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x4D\x34\x20\x50\x72\x6F\x20\x35\x47","\x32\x31\x30\x39\x31\x31\x31\x36\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x58\x33\x20\x47\x54","\x32\x31\x30\x36\x31\x31\x31\x30\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x58\x33\x20\x4E\x46\x43","\x4D\x32\x30\x30\x37\x4A\x32\x30\x43\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x58\x33\x20\x50\x72\x6F","\x4D\x32\x31\x30\x32\x4A\x32\x30\x53\x47","\x58\x69\x61\x6F\x6D\x69\x20\x50\x6F\x63\x6F\x20\x58\x34\x20\x47\x54","\x32\x32\x30\x34\x31\x32\x31\x36\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x39","\x4D\x32\x30\x30\x34\x4A\x31\x39\x43","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4B\x32\x30\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30","\x4D\x32\x31\x30\x31\x4B\x37\x41\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x35\x47","\x4D\x32\x31\x30\x33\x4B\x31\x39\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x20\x50\x72\x6F","\x4D\x32\x31\x30\x31\x4B\x36\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x30\x53","\x4D\x32\x31\x30\x31\x4B\x37\x42\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x31","\x32\x32\x30\x31\x31\x31\x37\x54\x59","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x31\x20\x50\x72\x6F","\x32\x32\x30\x31\x31\x31\x36\x54\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x31\x20\x50\x72\x6F\x2B\x20\x35\x47","\x32\x31\x30\x39\x31\x31\x31\x36\x55\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x31\x31\x53","\x32\x32\x30\x31\x31\x31\x37\x53\x59","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x38","\x4D\x31\x39\x30\x38\x43\x33\x4A\x47\x47","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x38\x20\x50\x72\x6F","\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x38\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39","\x4D\x32\x30\x30\x33\x4A\x31\x35\x53\x43","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39\x20\x50\x72\x6F","\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39\x20\x50\x72\x6F","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39\x53","\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39\x53","\x58\x69\x61\x6F\x6D\x69\x20\x52\x65\x64\x6D\x69\x20\x4E\x6F\x74\x65\x20\x39\x54","\x4D\x32\x30\x30\x37\x4A\x32\x32\x47","\x69\x50\x68\x6F\x6E\x65\x20\x31\x34\x20\x50\x72\x6F\x20\x4D\x61\x78","\x69\x50\x68\x6F\x6E\x65\x31\x35\x2C\x33","\x69\x50\x68\x6F\x6E\x65\x20\x31\x34\x20\x50\x72\x6F","\x69\x50\x68\x6F\x6E\x65\x31\x35\x2C\x32","\x69\x50\x68\x6F\x6E\x65\x20\x31\x34\x20\x50\x6C\x75\x73","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x38","\x69\x50\x68\x6F\x6E\x65\x20\x31\x34","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x37","\x69\x50\x68\x6F\x6E\x65\x20\x53\x45","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x36","\x69\x50\x68\x6F\x6E\x65\x20\x31\x33","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x35","\x69\x50\x68\x6F\x6E\x65\x20\x31\x33\x20\x6D\x69\x6E\x69","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x34","\x69\x50\x68\x6F\x6E\x65\x20\x31\x33\x20\x50\x72\x6F\x20\x4D\x61\x78","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x33","\x69\x50\x68\x6F\x6E\x65\x20\x31\x33\x20\x50\x72\x6F","\x69\x50\x68\x6F\x6E\x65\x31\x34\x2C\x32","\x69\x50\x68\x6F\x6E\x65\x20\x31\x32\x20\x50\x72\x6F\x20\x4D\x61\x78","\x69\x50\x68\x6F\x6E\x65\x31\x33\x2C\x34","\x69\x50\x68\x6F\x6E\x65\x20\x31\x32\x20\x50\x72\x6F","\x69\x50\x68\x6F\x6E\x65\x31\x33\x2C\x33","\x69\x50\x68\x6F\x6E\x65\x20\x31\x32","\x69\x50\x68\x6F\x6E\x65\x31\x33\x2C\x32","\x69\x50\x68\x6F\x6E\x65\x20\x31\x32\x20\x6D\x69\x6E\x69","\x69\x50\x68\x6F\x6E\x65\x31\x33\x2C\x31","\x69\x50\x68\x6F\x6E\x65\x20\x31\x31\x20\x50\x72\x6F\x20\x4D\x61\x78","\x69\x50\x68\x6F\x6E\x65\x31\x32\x2C\x35","\x69\x50\x68\x6F\x6E\x65\x20\x31\x31\x20\x50\x72\x6F","\x69\x50\x68\x6F\x6E\x65\x31\x32\x2C\x33","\x69\x50\x68\x6F\x6E\x65\x20\x58\x53\x20\x4D\x61\x78","\x69\x50\x68\x6F\x6E\x65\x31\x31\x2C\x36","\x69\x50\x68\x6F\x6E\x65\x20\x58\x53","\x69\x50\x68\x6F\x6E\x65\x31\x31\x2C\x32","\x69\x50\x68\x6F\x6E\x65\x20\x58","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x36","\x69\x50\x68\x6F\x6E\x65\x20\x38\x20\x50\x6C\x75\x73","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x35","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x33","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x32","\x69\x50\x68\x6F\x6E\x65\x31\x32\x2C\x38","\x69\x50\x68\x6F\x6E\x65\x20\x31\x31","\x69\x50\x68\x6F\x6E\x65\x31\x32\x2C\x31","\x69\x50\x68\x6F\x6E\x65\x20\x58\x52","\x69\x50\x68\x6F\x6E\x65\x31\x31\x2C\x38","\x69\x50\x68\x6F\x6E\x65\x20\x38","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x34","\x69\x50\x68\x6F\x6E\x65\x31\x30\x2C\x31","\x69\x50\x61\x64\x20\x6D\x69\x6E\x69\x20\x36","\x69\x50\x61\x64\x31\x34\x2C\x31","\x69\x50\x61\x64\x20\x41\x69\x72\x20\x35","\x69\x50\x61\x64\x31\x33\x2C\x31\x37","\x69\x50\x61\x64\x31\x33\x2C\x31\x36","\x69\x50\x61\x64\x20\x50\x72\x6F","\x69\x50\x61\x64\x31\x33\x2C\x31\x31","\x69\x50\x61\x64\x31\x33\x2C\x31\x30","\x69\x50\x61\x64\x31\x33\x2C\x39","\x69\x50\x61\x64\x31\x33\x2C\x38","\x69\x50\x61\x64\x31\x33\x2C\x37","\x69\x50\x61\x64\x31\x33\x2C\x36","\x69\x50\x61\x64\x31\x33\x2C\x35","\x69\x50\x61\x64\x31\x33\x2C\x34","\x69\x50\x61\x64\x20\x41\x69\x72\x20\x34","\x69\x50\x61\x64\x31\x33\x2C\x32","\x69\x50\x61\x64\x31\x33\x2C\x31","\x69\x50\x61\x64\x20\x38","\x69\x50\x61\x64\x31\x31\x2C\x37","\x69\x50\x61\x64\x31\x31\x2C\x36","\x69\x50\x61\x64\x20\x41\x69\x72\x20\x33","\x69\x50\x61\x64\x31\x31\x2C\x34","\x69\x50\x61\x64\x31\x31\x2C\x33","\x69\x50\x61\x64\x20\x6D\x69\x6E\x69\x20\x35","\x69\x50\x61\x64\x31\x31\x2C\x32","\x69\x50\x61\x64\x31\x31\x2C\x31","\x69\x50\x61\x64\x20\x50\x72\x6F\x20\x34","\x69\x50\x61\x64\x38\x2C\x31\x32","\x69\x50\x61\x64\x38\x2C\x31\x31","\x69\x50\x61\x64\x38\x2C\x31\x30","\x69\x50\x61\x64\x38\x2C\x39","\x69\x50\x61\x64\x20\x50\x72\x6F\x20\x33","\x69\x50\x61\x64\x38\x2C\x38","\x69\x50\x61\x64\x38\x2C\x37","\x69\x50\x61\x64\x38\x2C\x35","\x69\x50\x61\x64\x38\x2C\x33","\x69\x50\x61\x64\x38\x2C\x31","\x47\x6F\x6F\x67\x6C\x65\x20\x54\x56","\x4C\x75\x6D\x69\x61","\x69\x50\x61\x64","\x69\x50\x6F\x64","\x69\x50\x68\x6F\x6E\x65","\x4B\x69\x6E\x64\x6C\x65","\x4B\x69\x6E\x64\x6C\x65\x20\x46\x69\x72\x65","\x4E\x65\x78\x75\x73","\x4E\x6F\x6F\x6B","\x50\x6C\x61\x79\x42\x6F\x6F\x6B","\x50\x6C\x61\x79\x53\x74\x61\x74\x69\x6F\x6E\x20\x56\x69\x74\x61","\x50\x6C\x61\x79\x53\x74\x61\x74\x69\x6F\x6E","\x54\x6F\x75\x63\x68\x50\x61\x64","\x54\x72\x61\x6E\x73\x66\x6F\x72\x6D\x65\x72","\x57\x69\x69\x20\x55","\x57\x69\x69\x55","\x57\x69\x69","\x58\x62\x6F\x78\x20\x4F\x6E\x65","\x58\x62\x6F\x78\x20\x33\x36\x30","\x58\x62\x6F\x78","\x58\x6F\x6F\x6D","\x41\x73\x75\x73","\x49\x6E\x66\x69\x6E\x69\x78","\x4C\x47","\x4D\x6F\x74\x6F\x72\x6F\x6C\x61","\x6D\x6F\x74\x6F","\x4E\x6F\x6B\x69\x61","\x4F\x6E\x65\x50\x6C\x75\x73","\x4F\x70\x70\x6F","\x47\x6F\x6F\x67\x6C\x65","\x52\x65\x61\x6C\x6D\x65","\x53\x61\x6D\x73\x75\x6E\x67","\x53\x6F\x6E\x79","\x56\x69\x76\x6F","\x58\x69\x61\x6F\x6D\x69","\x41\x70\x70\x6C\x65","\x57\x69\x6E\x64\x6F\x77\x73\x20\x50\x68\x6F\x6E\x65","\x4B\x61\x69\x4F\x53","\x41\x6E\x64\x72\x6F\x69\x64","\x43\x65\x6E\x74\x4F\x53","\x43\x68\x72\x6F\x6D\x65\x20\x4F\x53","\x43\x72\x4F\x53","\x44\x65\x62\x69\x61\x6E","\x44\x72\x61\x67\x6F\x6E\x46\x6C\x79\x20\x42\x53\x44","\x44\x72\x61\x67\x6F\x6E\x46\x6C\x79","\x46\x65\x64\x6F\x72\x61","\x46\x72\x65\x65\x42\x53\x44","\x47\x65\x6E\x74\x6F\x6F","\x48\x61\x69\x6B\x75","\x4B\x75\x62\x75\x6E\x74\x75","\x4C\x69\x6E\x75\x78\x20\x4D\x69\x6E\x74","\x4F\x70\x65\x6E\x42\x53\x44","\x52\x65\x64\x20\x48\x61\x74","\x53\x75\x53\x45","\x55\x62\x75\x6E\x74\x75","\x58\x75\x62\x75\x6E\x74\x75","\x43\x79\x67\x77\x69\x6E","\x53\x79\x6D\x62\x69\x61\x6E\x20\x4F\x53","\x68\x70\x77\x4F\x53","\x77\x65\x62\x4F\x53\x20","\x77\x65\x62\x4F\x53","\x54\x61\x62\x6C\x65\x74\x20\x4F\x53","\x54\x69\x7A\x65\x6E","\x4C\x69\x6E\x75\x78","\x4D\x61\x63\x20\x4F\x53\x20\x58","\x4D\x61\x63\x69\x6E\x74\x6F\x73\x68","\x4D\x61\x63","\x57\x69\x6E\x64\x6F\x77\x73\x20\x39\x38\x3B","\x5C\x62","\x70\x61\x74\x74\x65\x72\x6E","\x6C\x61\x62\x65\x6C","\x28\x3F\x3A\x5C\x62\x7C\x5C\x77\x2A\x5C\x64\x29","\x28\x3F\x3A\x2F\x5B\x5C\x64\x2E\x5D\x2B\x7C\x5B\x20\x5C\x77\x2E\x5D\x2A\x29","\x20\x2A\x5C\x64\x2B\x5B\x2E\x5C\x77\x5F\x5D\x2A","\x20\x2A\x5C\x77\x2B\x2D\x5B\x5C\x77\x5D\x2A","\x28\x3F\x3A\x3B\x20\x2A\x28\x3F\x3A\x5B\x61\x2D\x7A\x5D\x2B\x5B\x5F\x2D\x5D\x29\x3F\x5B\x61\x2D\x7A\x5D\x2B\x5C\x64\x2B\x7C\x5B\x5E\x20\x28\x29\x3B\x2D\x5D\x2A\x29","\x2F","\x20","\x28","\x29\x5B\x2D\x5F\x2E\x5D\x3F\x28\x5C\x77\x29","\x24\x31\x20\x24\x32","\x3B\x20\x2A\x28\x3F\x3A","\x5B\x5F\x2D\x5D\x29\x3F","\x28\x3F\x3A\x2D\x5B\x5C\x64\x2E\x5D\x2B\x2F\x7C\x28\x3F\x3A\x20\x66\x6F\x72\x20\x5B\x5C\x77\x2D\x5D\x2B\x29\x3F\x5B\x20\x2F\x2D\x5D\x29\x28\x5B\x5C\x64\x2E\x5D\x2B\x5B\x5E\x20\x28\x29\x3B\x2F\x5F\x2D\x5D\x2A\x29","\x64\x65\x73\x63\x72\x69\x70\x74\x69\x6F\x6E","\x5E\x28","\x20\x24\x32","\x29\x5B\x2D\x5F\x2E\x5C\x73\x5D","\x53\x69\x6D\x75\x6C\x61\x74\x6F\x72","\x72\x75\x6E\x6E\x69\x6E\x67\x20\x69\x6E\x20\x54\x75\x72\x62\x6F\x2F\x55\x6E\x63\x6F\x6D\x70\x72\x65\x73\x73\x65\x64\x20\x6D\x6F\x64\x65","\x70\x75\x73\x68","\x6D\x61\x6E\x75\x66\x61\x63\x74\x75\x72\x65\x72","\x70\x72\x6F\x64\x75\x63\x74","\x69\x4F\x53","\x41\x6E\x64\x72\x6F\x69\x64\x20\x42\x72\x6F\x77\x73\x65\x72","\x64\x65\x73\x6B\x74\x6F\x70\x20\x6D\x6F\x64\x65","\x75\x6E\x73\x68\x69\x66\x74","\x61\x63\x63\x65\x6C\x65\x72\x61\x74\x65\x64","\x73\x70\x65\x65\x64\x20\x6D\x6F\x64\x65","\x69\x64\x65\x6E\x74\x69\x66\x79\x69\x6E\x67\x20\x61\x73\x20\x46\x69\x72\x65\x66\x6F\x78\x20","\x46\x69\x72\x65\x66\x6F\x78\x20\x4F\x53","\x69\x6E\x64\x65\x78\x4F\x66","\x20\x42\x72\x6F\x77\x73\x65\x72","\x43\x68\x72\x6F\x6D\x69\x75\x6D\x20","\x28\x3F\x3A\x43\x6C\x6F\x75\x64\x39\x7C\x43\x72\x69\x4F\x53\x7C\x43\x72\x4D\x6F\x7C\x45\x64\x67\x65\x7C\x45\x64\x67\x7C\x45\x64\x67\x41\x7C\x45\x64\x67\x69\x4F\x53\x7C\x46\x78\x69\x4F\x53\x7C\x48\x65\x61\x64\x6C\x65\x73\x73\x43\x68\x72\x6F\x6D\x65\x7C\x49\x45\x4D\x6F\x62\x69\x6C\x65\x7C\x49\x72\x6F\x6E\x7C\x4F\x70\x65\x72\x61\x20\x3F\x4D\x69\x6E\x69\x7C\x4F\x50\x69\x4F\x53\x7C\x4F\x50\x52\x7C\x52\x61\x76\x65\x6E\x7C\x53\x61\x6D\x73\x75\x6E\x67\x42\x72\x6F\x77\x73\x65\x72\x7C\x53\x69\x6C\x6B\x28\x3F\x21\x2F\x5B\x5C\x64\x2E\x5D\x2B\x24\x29\x7C\x55\x43\x42\x72\x6F\x77\x73\x65\x72\x7C\x59\x61\x42\x72\x6F\x77\x73\x65\x72\x29","\x56\x65\x72\x73\x69\x6F\x6E","\x28\x3F\x3A\x46\x69\x72\x65\x66\x6F\x78\x7C\x4D\x69\x6E\x65\x66\x69\x65\x6C\x64\x7C\x4E\x65\x74\x46\x72\x6F\x6E\x74\x29","\x42\x6C\x69\x6E\x6B","\x20\x4D\x6F\x62\x69\x6C\x65","\x57\x69\x6E\x64\x6F\x77\x73\x20\x50\x68\x6F\x6E\x65\x20","\x2E\x78","\x49\x45\x20\x4D\x6F\x62\x69\x6C\x65","\x57\x69\x6E\x64\x6F\x77\x73\x20\x50\x68\x6F\x6E\x65\x20\x38\x2E\x78","\x69\x64\x65\x6E\x74\x69\x66\x79\x69\x6E\x67\x20\x61\x73\x20","\x53\x79\x73\x74\x65\x6D","\x6C\x61\x6E\x67","\x6F\x73\x2E\x61\x72\x63\x68","\x67\x65\x74\x50\x72\x6F\x70\x65\x72\x74\x79","\x6F\x73\x2E\x6E\x61\x6D\x65","\x6F\x73\x2E\x76\x65\x72\x73\x69\x6F\x6E","\x6A\x6F\x69\x6E","\x72\x69\x6E\x67\x6F\x2F\x65\x6E\x67\x69\x6E\x65","\x72\x65\x71\x75\x69\x72\x65","\x52\x69\x6E\x67\x6F\x4A\x53","\x73\x79\x73\x74\x65\x6D","\x4E\x61\x72\x77\x68\x61\x6C","\x6F\x73","\x52\x68\x69\x6E\x6F","\x70\x72\x6F\x63\x65\x73\x73","\x62\x72\x6F\x77\x73\x65\x72","\x76\x65\x72\x73\x69\x6F\x6E\x73","\x65\x6C\x65\x63\x74\x72\x6F\x6E","\x73\x74\x72\x69\x6E\x67","\x4E\x6F\x64\x65\x20","\x6E\x6F\x64\x65","\x6E\x77","\x4E\x57\x2E\x6A\x73","\x4E\x6F\x64\x65\x2E\x6A\x73","\x61\x72\x63\x68","\x70\x6C\x61\x74\x66\x6F\x72\x6D","\x72\x75\x6E\x74\x69\x6D\x65","\x43\x61\x70\x61\x62\x69\x6C\x69\x74\x69\x65\x73","\x66\x6C\x61\x73\x68","\x70\x68\x61\x6E\x74\x6F\x6D","\x6D\x61\x6A\x6F\x72","\x6D\x69\x6E\x6F\x72","\x70\x61\x74\x63\x68","\x64\x6F\x63\x75\x6D\x65\x6E\x74\x4D\x6F\x64\x65","\x49\x45\x20","\x20\x6D\x6F\x64\x65","\x74\x6F\x46\x69\x78\x65\x64","\x6D\x61\x73\x6B\x69\x6E\x67\x20\x61\x73\x20","\x31\x31\x2E\x30","\x57\x69\x6E\x64\x6F\x77\x73","\x3B","\x61\x70\x70\x4D\x69\x6E\x6F\x72\x56\x65\x72\x73\x69\x6F\x6E","\x62\x65\x74\x61","\x61\x6C\x70\x68\x61","\x5C\x2B\x3F\x24","\x46\x69\x72\x65\x66\x6F\x78\x20\x4D\x6F\x62\x69\x6C\x65","\x6D\x6F\x62\x69\x6C\x65\x20\x6D\x6F\x64\x65","\x57\x69\x6E\x64\x6F\x77\x73\x20\x43\x45","\x65\x78\x74\x65\x72\x6E\x61\x6C","\x70\x6C\x61\x74\x66\x6F\x72\x6D\x20\x70\x72\x65\x76\x69\x65\x77","\x65\x6D\x62\x65\x64\x64\x65\x64","\x20\x2A","\x2F\x28\x5B\x2E\x5C\x64\x5D\x2B\x29","\x44\x65\x76\x69\x63\x65\x20\x53\x6F\x66\x74\x77\x61\x72\x65","\x6E\x61\x6D\x65","\x69\x6E\x67\x20\x61\x73\x20","\x69\x64\x65\x6E\x74\x69\x66\x79","\x6D\x61\x73\x6B","\x2E\x30\x24\x31","\x2B","\x57\x65\x62\x4B\x69\x74\x20\x4E\x69\x67\x68\x74\x6C\x79","\x6C\x69\x6B\x65\x20\x53\x61\x66\x61\x72\x69","\x34\x2B","\x31\x32","\x6C\x69\x6B\x65\x20\x43\x68\x72\x6F\x6D\x65","\x31\x33\x2B","\x32\x31\x2B","\x32\x37","\x32\x38","\x68\x65\x61\x64\x6C\x65\x73\x73","\x7A\x76\x61\x76","\x4D\x69\x6E\x69","\x4D\x6F\x62\x69\x6C\x65","\x24","\x69\x4F\x53\x20\x34\x2E\x33\x2B","\x2D","\x3B\x20","\x29","\x6F\x6E\x20","\x66\x61\x6D\x69\x6C\x79","\x61\x72\x63\x68\x69\x74\x65\x63\x74\x75\x72\x65","\x20\x36\x34\x2D\x62\x69\x74","\x63\x70\x75\x43\x6C\x61\x73\x73","\x33\x32\x2D\x62\x69\x74","\x6C\x61\x79\x6F\x75\x74","\x70\x72\x65\x72\x65\x6C\x65\x61\x73\x65","\x75\x61","\x6E\x75\x6C\x6C","\x70\x61\x72\x73\x65","\x61\x6D\x64"];;;(function(){_0xfdda[1];var _0x6009x1={'\x66\x75\x6E\x63\x74\x69\x6F\x6E':true,'\x6F\x62\x6A\x65\x63\x74':true};var _0x6009x2=(_0x6009x1[ typeof window]&& window)|| this;var _0x6009x3=_0x6009x2;var _0x6009x4=_0x6009x1[ typeof exports]&& exports;var _0x6009x5=_0x6009x1[ typeof module]&& module&&  !module[_0xfdda[2]]&& module;var _0x6009x6=_0x6009x4&& _0x6009x5&&  typeof global== _0xfdda[3]&& global;if(_0x6009x6&& (_0x6009x6[_0xfdda[4]]=== _0x6009x6|| _0x6009x6[_0xfdda[5]]=== _0x6009x6|| _0x6009x6[_0xfdda[6]]=== _0x6009x6)){_0x6009x2= _0x6009x6};var _0x6009x7=Math[_0xfdda[7]](2,53)- 1;var _0x6009x8=/\bOpera/;var _0x6009x9=this;var _0x6009xa=Object[_0xfdda[8]];var _0x6009xb=_0x6009xa[_0xfdda[9]];var _0x6009xc=_0x6009xa[_0xfdda[10]];function _0x6009xd(_0x6009xe){_0x6009xe= String(_0x6009xe);return _0x6009xe[_0xfdda[12]](0)[_0xfdda[11]]()+ _0x6009xe[_0xfdda[13]](1)}function _0x6009xf(_0x6009x10,_0x6009x11,_0x6009x12){var _0x6009x13={'\x31\x30\x2E\x30':_0xfdda[14],'\x36\x2E\x34':_0xfdda[15],'\x36\x2E\x33':_0xfdda[16],'\x36\x2E\x32':_0xfdda[17],'\x36\x2E\x31':_0xfdda[18],'\x36\x2E\x30':_0xfdda[19],'\x35\x2E\x32':_0xfdda[20],'\x35\x2E\x31':_0xfdda[21],'\x35\x2E\x30\x31':_0xfdda[22],'\x35\x2E\x30':_0xfdda[23],'\x34\x2E\x30':_0xfdda[24],'\x34\x2E\x39\x30':_0xfdda[25]};if(_0x6009x11&& _0x6009x12&& /^Win/i[_0xfdda[26]](_0x6009x10)&&  !/^Windows Phone /i[_0xfdda[26]](_0x6009x10)&& (_0x6009x13= _0x6009x13[/[\d.]+$/[_0xfdda[27]](_0x6009x10)])){_0x6009x10= _0xfdda[28]+ _0x6009x13};_0x6009x10= String(_0x6009x10);if(_0x6009x11&& _0x6009x12){_0x6009x10= _0x6009x10[_0xfdda[30]](RegExp(_0x6009x11,_0xfdda[29]),_0x6009x12)};_0x6009x10= _0x6009x19(_0x6009x10[_0xfdda[30]](/ ce$/i,_0xfdda[41])[_0xfdda[30]](/\bhpw/i,_0xfdda[40])[_0xfdda[30]](/\bMacintosh\b/,_0xfdda[39])[_0xfdda[30]](/_PowerPC\b/i,_0xfdda[38])[_0xfdda[30]](/\b(OS X) [^ \d]+/i,_0xfdda[33])[_0xfdda[30]](/\bMac (OS X)\b/,_0xfdda[33])[_0xfdda[30]](/\/(\d)/,_0xfdda[37])[_0xfdda[30]](/_/g,_0xfdda[36])[_0xfdda[30]](/(?: BePC|[ .]*fc[ \d.]+)$/i,_0xfdda[35])[_0xfdda[30]](/\bx86\.64\b/gi,_0xfdda[34])[_0xfdda[30]](/\b(Windows Phone) OS\b/,_0xfdda[33])[_0xfdda[30]](/\b(Chrome OS \w+) [\d.]+\b/,_0xfdda[33])[_0xfdda[32]](_0xfdda[31])[0]);return _0x6009x10}function _0x6009x14(_0x6009x15,_0x6009x16){var _0x6009x17=-1,_0x6009x18=_0x6009x15?_0x6009x15[_0xfdda[42]]:0;if( typeof _0x6009x18== _0xfdda[43]&& _0x6009x18>  -1&& _0x6009x18<= _0x6009x7){while(++_0x6009x17< _0x6009x18){_0x6009x16(_0x6009x15[_0x6009x17],_0x6009x17,_0x6009x15)}}else {_0x6009x1a(_0x6009x15,_0x6009x16)}}function _0x6009x19(_0x6009xe){_0x6009xe= _0x6009x25(_0x6009xe);return /^(?:webOS|i(?:OS|P))/[_0xfdda[26]](_0x6009xe)?_0x6009xe:_0x6009xd(_0x6009xe)}function _0x6009x1a(_0x6009x15,_0x6009x16){for(var _0x6009x1b in _0x6009x15){if(_0x6009xb[_0xfdda[0]](_0x6009x15,_0x6009x1b)){_0x6009x16(_0x6009x15[_0x6009x1b],_0x6009x1b,_0x6009x15)}}}function _0x6009x1c(_0x6009x1d){return _0x6009x1d== null?_0x6009xd(_0x6009x1d):_0x6009xc[_0xfdda[0]](_0x6009x1d)[_0xfdda[13]](8,-1)}function _0x6009x1e(_0x6009x15,_0x6009x1f){var _0x6009x20=_0x6009x15!= null? typeof _0x6009x15[_0x6009x1f]:_0xfdda[43];return !/^(?:boolean|number|string|undefined)$/[_0xfdda[26]](_0x6009x20)&& (_0x6009x20== _0xfdda[3]?!!_0x6009x15[_0x6009x1f]:true)}function _0x6009x21(_0x6009xe){return String(_0x6009xe)[_0xfdda[30]](/([ -])(?!$)/g,_0xfdda[44])}function _0x6009x22(_0x6009x23,_0x6009x16){var _0x6009x24=null;_0x6009x14(_0x6009x23,function(_0x6009x1d,_0x6009x17){_0x6009x24= _0x6009x16(_0x6009x24,_0x6009x1d,_0x6009x17,_0x6009x23)});return _0x6009x24}function _0x6009x25(_0x6009xe){return String(_0x6009xe)[_0xfdda[30]](/^ +| +$/g,_0xfdda[35])}function _0x6009x26(_0x6009x27){var _0x6009x28=_0x6009x2;var _0x6009x29=_0x6009x27&&  typeof _0x6009x27== _0xfdda[3]&& _0x6009x1c(_0x6009x27)!= _0xfdda[45];if(_0x6009x29){_0x6009x28= _0x6009x27;_0x6009x27= null};var _0x6009x2a=_0x6009x28[_0xfdda[46]]|| {};var _0x6009x2b=_0x6009x2a[_0xfdda[47]]|| _0xfdda[35];_0x6009x27|| (_0x6009x27= _0x6009x2b);var _0x6009x2c=_0x6009x29|| _0x6009x9== _0x6009x3;var _0x6009x2d=_0x6009x29?!!_0x6009x2a[_0xfdda[48]]:/\bChrome\b/[_0xfdda[26]](_0x6009x27)&&  !/internal|\n/i[_0xfdda[26]](_0x6009xc.toString());var _0x6009x2e=_0xfdda[49],_0x6009x2f=_0x6009x29?_0x6009x2e:_0xfdda[50],_0x6009x30=_0x6009x29?_0x6009x2e:_0xfdda[51],_0x6009x31=(_0x6009x29&& _0x6009x28[_0xfdda[52]])?_0xfdda[53]:_0x6009x1c(_0x6009x28[_0xfdda[52]]),_0x6009x32=_0x6009x29?_0x6009x2e:_0xfdda[54];var _0x6009x33=/\bJava/[_0xfdda[26]](_0x6009x31)&& _0x6009x28[_0xfdda[52]];var _0x6009x34=_0x6009x33&& _0x6009x1c(_0x6009x28[_0xfdda[55]])== _0x6009x30;var _0x6009x35=_0x6009x33?_0xfdda[56]:_0xfdda[57];var _0x6009x36=_0x6009x33?_0xfdda[58]:_0xfdda[59];var _0x6009x37=_0x6009x28[_0xfdda[60]]|| {};var _0x6009x38=_0x6009x28[_0xfdda[61]]|| _0x6009x28[_0xfdda[62]];var _0x6009x39=_0x6009x8[_0xfdda[26]](_0x6009x39= (_0x6009x29&& _0x6009x38)?_0x6009x38[_0xfdda[63]]:_0x6009x1c(_0x6009x38))?_0x6009x39:(_0x6009x38= null);var _0x6009x13;var _0x6009x3a=_0x6009x27;var _0x6009x3b=[];var _0x6009x3c=null;var _0x6009x3d=_0x6009x27== _0x6009x2b;var _0x6009x3e=_0x6009x3d&& _0x6009x38&&  typeof _0x6009x38[_0xfdda[64]]== _0xfdda[65]&& _0x6009x38[_0xfdda[64]]();var _0x6009x3f;var _0x6009x40=_0x6009x44([{'\x6C\x61\x62\x65\x6C':_0xfdda[66],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[67]},_0xfdda[68],{'\x6C\x61\x62\x65\x6C':_0xfdda[69],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[70]},_0xfdda[71],_0xfdda[72],_0xfdda[73],_0xfdda[74],_0xfdda[75],_0xfdda[76]]);var _0x6009x41=_0x6009x49([{'\x6C\x61\x62\x65\x6C':_0xfdda[77],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[78]},{'\x6C\x61\x62\x65\x6C':_0xfdda[77],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[79]},{'\x6C\x61\x62\x65\x6C':_0xfdda[80],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[81]},_0xfdda[82],_0xfdda[83],_0xfdda[84],_0xfdda[85],_0xfdda[86],_0xfdda[87],_0xfdda[88],_0xfdda[89],_0xfdda[90],_0xfdda[91],_0xfdda[92],_0xfdda[71],_0xfdda[93],_0xfdda[94],_0xfdda[95],_0xfdda[96],_0xfdda[97],{'\x6C\x61\x62\x65\x6C':_0xfdda[98],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[99]},_0xfdda[100],_0xfdda[101],_0xfdda[102],_0xfdda[103],_0xfdda[104],_0xfdda[105],_0xfdda[106],{'\x6C\x61\x62\x65\x6C':_0xfdda[107],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[108]},_0xfdda[109],{'\x6C\x61\x62\x65\x6C':_0xfdda[110],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[111]},_0xfdda[112],_0xfdda[113],{'\x6C\x61\x62\x65\x6C':_0xfdda[114],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[115]},_0xfdda[116],_0xfdda[117],_0xfdda[118],_0xfdda[119],_0xfdda[120],{'\x6C\x61\x62\x65\x6C':_0xfdda[121],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[122]},{'\x6C\x61\x62\x65\x6C':_0xfdda[123],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[124]},_0xfdda[125],{'\x6C\x61\x62\x65\x6C':_0xfdda[125],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[126]},_0xfdda[127],{'\x6C\x61\x62\x65\x6C':_0xfdda[127],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[128]},_0xfdda[129],_0xfdda[130],{'\x6C\x61\x62\x65\x6C':_0xfdda[130],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[131]},{'\x6C\x61\x62\x65\x6C':_0xfdda[132],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[133]},{'\x6C\x61\x62\x65\x6C':_0xfdda[134],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[135]},{'\x6C\x61\x62\x65\x6C':_0xfdda[136],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[137]},{'\x6C\x61\x62\x65\x6C':_0xfdda[138],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[139]},{'\x6C\x61\x62\x65\x6C':_0xfdda[138],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[140]},_0xfdda[141]]);var _0x6009x42=_0x6009x4b([{'\x6C\x61\x62\x65\x6C':_0xfdda[142],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[143]},_0xfdda[142],{'\x6C\x61\x62\x65\x6C':_0xfdda[144],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[145]},{'\x6C\x61\x62\x65\x6C':_0xfdda[146],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[147]},{'\x6C\x61\x62\x65\x6C':_0xfdda[148],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[149]},{'\x6C\x61\x62\x65\x6C':_0xfdda[150],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[151]},{'\x6C\x61\x62\x65\x6C':_0xfdda[152],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[153]},{'\x6C\x61\x62\x65\x6C':_0xfdda[154],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[155]},{'\x6C\x61\x62\x65\x6C':_0xfdda[156],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[157]},{'\x6C\x61\x62\x65\x6C':_0xfdda[158],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[159]},{'\x6C\x61\x62\x65\x6C':_0xfdda[160],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[161]},{'\x6C\x61\x62\x65\x6C':_0xfdda[162],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[163]},{'\x6C\x61\x62\x65\x6C':_0xfdda[162],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[164]},{'\x6C\x61\x62\x65\x6C':_0xfdda[165],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[166]},{'\x6C\x61\x62\x65\x6C':_0xfdda[167],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[168]},{'\x6C\x61\x62\x65\x6C':_0xfdda[169],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[170]},{'\x6C\x61\x62\x65\x6C':_0xfdda[171],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[172]},{'\x6C\x61\x62\x65\x6C':_0xfdda[173],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[174]},{'\x6C\x61\x62\x65\x6C':_0xfdda[175],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[176]},{'\x6C\x61\x62\x65\x6C':_0xfdda[177],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[178]},{'\x6C\x61\x62\x65\x6C':_0xfdda[179],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[180]},{'\x6C\x61\x62\x65\x6C':_0xfdda[181],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[182]},{'\x6C\x61\x62\x65\x6C':_0xfdda[183],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[184]},{'\x6C\x61\x62\x65\x6C':_0xfdda[185],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[186]},{'\x6C\x61\x62\x65\x6C':_0xfdda[187],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[188]},{'\x6C\x61\x62\x65\x6C':_0xfdda[189],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[190]},{'\x6C\x61\x62\x65\x6C':_0xfdda[191],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[192]},{'\x6C\x61\x62\x65\x6C':_0xfdda[193],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[194]},{'\x6C\x61\x62\x65\x6C':_0xfdda[195],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[196]},{'\x6C\x61\x62\x65\x6C':_0xfdda[197],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[198]},{'\x6C\x61\x62\x65\x6C':_0xfdda[199],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[200]},{'\x6C\x61\x62\x65\x6C':_0xfdda[201],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[202]},{'\x6C\x61\x62\x65\x6C':_0xfdda[203],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[204]},{'\x6C\x61\x62\x65\x6C':_0xfdda[205],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[206]},{'\x6C\x61\x62\x65\x6C':_0xfdda[207],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[208]},{'\x6C\x61\x62\x65\x6C':_0xfdda[209],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[210]},{'\x6C\x61\x62\x65\x6C':_0xfdda[211],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[212]},{'\x6C\x61\x62\x65\x6C':_0xfdda[213],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[214]},{'\x6C\x61\x62\x65\x6C':_0xfdda[215],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[216]},{'\x6C\x61\x62\x65\x6C':_0xfdda[217],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[218]},{'\x6C\x61\x62\x65\x6C':_0xfdda[219],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[220]},{'\x6C\x61\x62\x65\x6C':_0xfdda[221],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[222]},{'\x6C\x61\x62\x65\x6C':_0xfdda[223],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[224]},{'\x6C\x61\x62\x65\x6C':_0xfdda[225],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[225]},{'\x6C\x61\x62\x65\x6C':_0xfdda[226],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[226]},{'\x6C\x61\x62\x65\x6C':_0xfdda[227],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[227]},{'\x6C\x61\x62\x65\x6C':_0xfdda[228],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[228]},{'\x6C\x61\x62\x65\x6C':_0xfdda[229],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[229]},{'\x6C\x61\x62\x65\x6C':_0xfdda[230],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[231]},{'\x6C\x61\x62\x65\x6C':_0xfdda[231],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[231]},{'\x6C\x61\x62\x65\x6C':_0xfdda[232],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[232]},{'\x6C\x61\x62\x65\x6C':_0xfdda[233],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[233]},{'\x6C\x61\x62\x65\x6C':_0xfdda[234],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[234]},{'\x6C\x61\x62\x65\x6C':_0xfdda[235],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[235]},{'\x6C\x61\x62\x65\x6C':_0xfdda[236],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[236]},{'\x6C\x61\x62\x65\x6C':_0xfdda[237],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[237]},{'\x6C\x61\x62\x65\x6C':_0xfdda[238],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[239]},{'\x6C\x61\x62\x65\x6C':_0xfdda[238],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[240]},{'\x6C\x61\x62\x65\x6C':_0xfdda[241],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[242]},{'\x6C\x61\x62\x65\x6C':_0xfdda[243],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[244]},{'\x6C\x61\x62\x65\x6C':_0xfdda[245],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[246]},{'\x6C\x61\x62\x65\x6C':_0xfdda[245],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[247]},{'\x6C\x61\x62\x65\x6C':_0xfdda[248],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[249]},{'\x6C\x61\x62\x65\x6C':_0xfdda[248],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[250]},{'\x6C\x61\x62\x65\x6C':_0xfdda[248],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[251]},{'\x6C\x61\x62\x65\x6C':_0xfdda[252],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[253]},{'\x6C\x61\x62\x65\x6C':_0xfdda[252],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[254]},{'\x6C\x61\x62\x65\x6C':_0xfdda[255],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[256]},{'\x6C\x61\x62\x65\x6C':_0xfdda[255],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[257]},{'\x6C\x61\x62\x65\x6C':_0xfdda[258],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[259]},{'\x6C\x61\x62\x65\x6C':_0xfdda[258],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[260]},{'\x6C\x61\x62\x65\x6C':_0xfdda[258],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[261]},{'\x6C\x61\x62\x65\x6C':_0xfdda[262],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[263]},{'\x6C\x61\x62\x65\x6C':_0xfdda[262],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[264]},{'\x6C\x61\x62\x65\x6C':_0xfdda[262],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[265]},{'\x6C\x61\x62\x65\x6C':_0xfdda[266],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[267]},{'\x6C\x61\x62\x65\x6C':_0xfdda[266],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[268]},{'\x6C\x61\x62\x65\x6C':_0xfdda[266],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[269]},{'\x6C\x61\x62\x65\x6C':_0xfdda[266],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[270]},{'\x6C\x61\x62\x65\x6C':_0xfdda[271],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[272]},{'\x6C\x61\x62\x65\x6C':_0xfdda[271],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[273]},{'\x6C\x61\x62\x65\x6C':_0xfdda[271],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[274]},{'\x6C\x61\x62\x65\x6C':_0xfdda[275],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[276]},{'\x6C\x61\x62\x65\x6C':_0xfdda[275],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[277]},{'\x6C\x61\x62\x65\x6C':_0xfdda[275],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[278]},{'\x6C\x61\x62\x65\x6C':_0xfdda[279],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[280]},{'\x6C\x61\x62\x65\x6C':_0xfdda[281],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[282]},{'\x6C\x61\x62\x65\x6C':_0xfdda[281],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[283]},{'\x6C\x61\x62\x65\x6C':_0xfdda[284],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[285]},{'\x6C\x61\x62\x65\x6C':_0xfdda[284],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[286]},{'\x6C\x61\x62\x65\x6C':_0xfdda[287],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[288]},{'\x6C\x61\x62\x65\x6C':_0xfdda[289],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[290]},{'\x6C\x61\x62\x65\x6C':_0xfdda[291],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[292]},{'\x6C\x61\x62\x65\x6C':_0xfdda[293],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[294]},{'\x6C\x61\x62\x65\x6C':_0xfdda[295],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[296]},{'\x6C\x61\x62\x65\x6C':_0xfdda[297],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[298]},{'\x6C\x61\x62\x65\x6C':_0xfdda[299],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[300]},{'\x6C\x61\x62\x65\x6C':_0xfdda[301],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[302]},{'\x6C\x61\x62\x65\x6C':_0xfdda[303],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[304]},{'\x6C\x61\x62\x65\x6C':_0xfdda[305],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[306]},{'\x6C\x61\x62\x65\x6C':_0xfdda[307],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[308]},{'\x6C\x61\x62\x65\x6C':_0xfdda[309],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[310]},{'\x6C\x61\x62\x65\x6C':_0xfdda[311],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[312]},{'\x6C\x61\x62\x65\x6C':_0xfdda[313],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[314]},{'\x6C\x61\x62\x65\x6C':_0xfdda[315],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[316]},{'\x6C\x61\x62\x65\x6C':_0xfdda[317],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[318]},{'\x6C\x61\x62\x65\x6C':_0xfdda[319],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[320]},{'\x6C\x61\x62\x65\x6C':_0xfdda[321],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[322]},{'\x6C\x61\x62\x65\x6C':_0xfdda[323],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[324]},{'\x6C\x61\x62\x65\x6C':_0xfdda[325],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[326]},{'\x6C\x61\x62\x65\x6C':_0xfdda[327],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[328]},{'\x6C\x61\x62\x65\x6C':_0xfdda[329],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[330]},{'\x6C\x61\x62\x65\x6C':_0xfdda[331],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[332]},{'\x6C\x61\x62\x65\x6C':_0xfdda[333],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[334]},{'\x6C\x61\x62\x65\x6C':_0xfdda[335],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[336]},{'\x6C\x61\x62\x65\x6C':_0xfdda[337],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[338]},{'\x6C\x61\x62\x65\x6C':_0xfdda[337],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[339]},{'\x6C\x61\x62\x65\x6C':_0xfdda[340],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[341]},{'\x6C\x61\x62\x65\x6C':_0xfdda[342],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[343]},{'\x6C\x61\x62\x65\x6C':_0xfdda[344],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[345]},{'\x6C\x61\x62\x65\x6C':_0xfdda[346],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[347]},{'\x6C\x61\x62\x65\x6C':_0xfdda[348],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[349]},{'\x6C\x61\x62\x65\x6C':_0xfdda[350],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[351]},{'\x6C\x61\x62\x65\x6C':_0xfdda[352],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[353]},{'\x6C\x61\x62\x65\x6C':_0xfdda[354],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[355]},{'\x6C\x61\x62\x65\x6C':_0xfdda[356],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[357]},{'\x6C\x61\x62\x65\x6C':_0xfdda[358],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[359]},{'\x6C\x61\x62\x65\x6C':_0xfdda[360],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[361]},{'\x6C\x61\x62\x65\x6C':_0xfdda[362],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[363]},{'\x6C\x61\x62\x65\x6C':_0xfdda[364],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[365]},{'\x6C\x61\x62\x65\x6C':_0xfdda[366],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[367]},{'\x6C\x61\x62\x65\x6C':_0xfdda[368],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[369]},{'\x6C\x61\x62\x65\x6C':_0xfdda[370],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[371]},{'\x6C\x61\x62\x65\x6C':_0xfdda[372],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[373]},{'\x6C\x61\x62\x65\x6C':_0xfdda[374],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[375]},{'\x6C\x61\x62\x65\x6C':_0xfdda[376],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[377]},{'\x6C\x61\x62\x65\x6C':_0xfdda[378],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[379]},{'\x6C\x61\x62\x65\x6C':_0xfdda[380],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[381]},{'\x6C\x61\x62\x65\x6C':_0xfdda[382],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[347]},{'\x6C\x61\x62\x65\x6C':_0xfdda[383],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[384]},{'\x6C\x61\x62\x65\x6C':_0xfdda[385],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[386]},{'\x6C\x61\x62\x65\x6C':_0xfdda[387],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[388]},{'\x6C\x61\x62\x65\x6C':_0xfdda[389],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[390]},{'\x6C\x61\x62\x65\x6C':_0xfdda[391],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[339]},{'\x6C\x61\x62\x65\x6C':_0xfdda[392],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[393]},{'\x6C\x61\x62\x65\x6C':_0xfdda[394],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[395]},{'\x6C\x61\x62\x65\x6C':_0xfdda[396],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[397]},{'\x6C\x61\x62\x65\x6C':_0xfdda[398],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[399]},{'\x6C\x61\x62\x65\x6C':_0xfdda[400],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[401]},{'\x6C\x61\x62\x65\x6C':_0xfdda[402],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[402]},{'\x6C\x61\x62\x65\x6C':_0xfdda[403],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[403]},{'\x6C\x61\x62\x65\x6C':_0xfdda[404],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[404]},{'\x6C\x61\x62\x65\x6C':_0xfdda[405],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[405]},{'\x6C\x61\x62\x65\x6C':_0xfdda[406],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[406]},{'\x6C\x61\x62\x65\x6C':_0xfdda[407],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[407]},{'\x6C\x61\x62\x65\x6C':_0xfdda[408],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[408]},{'\x6C\x61\x62\x65\x6C':_0xfdda[409],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[409]},{'\x6C\x61\x62\x65\x6C':_0xfdda[410],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[410]},{'\x6C\x61\x62\x65\x6C':_0xfdda[411],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[411]},{'\x6C\x61\x62\x65\x6C':_0xfdda[412],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[412]},{'\x6C\x61\x62\x65\x6C':_0xfdda[413],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[413]},{'\x6C\x61\x62\x65\x6C':_0xfdda[414],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[414]},{'\x6C\x61\x62\x65\x6C':_0xfdda[415],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[415]},{'\x6C\x61\x62\x65\x6C':_0xfdda[416],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[416]},{'\x6C\x61\x62\x65\x6C':_0xfdda[417],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[418]},{'\x6C\x61\x62\x65\x6C':_0xfdda[419],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[420]},{'\x6C\x61\x62\x65\x6C':_0xfdda[421],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[422]},{'\x6C\x61\x62\x65\x6C':_0xfdda[423],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[424]},{'\x6C\x61\x62\x65\x6C':_0xfdda[425],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[426]},{'\x6C\x61\x62\x65\x6C':_0xfdda[427],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[428]},{'\x6C\x61\x62\x65\x6C':_0xfdda[429],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[430]},{'\x6C\x61\x62\x65\x6C':_0xfdda[431],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[432]},{'\x6C\x61\x62\x65\x6C':_0xfdda[433],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[434]},{'\x6C\x61\x62\x65\x6C':_0xfdda[435],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[436]},{'\x6C\x61\x62\x65\x6C':_0xfdda[437],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[438]},{'\x6C\x61\x62\x65\x6C':_0xfdda[437],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[439]},{'\x6C\x61\x62\x65\x6C':_0xfdda[440],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[441]},{'\x6C\x61\x62\x65\x6C':_0xfdda[442],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[443]},{'\x6C\x61\x62\x65\x6C':_0xfdda[444],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[445]},{'\x6C\x61\x62\x65\x6C':_0xfdda[446],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[447]},{'\x6C\x61\x62\x65\x6C':_0xfdda[448],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[449]},{'\x6C\x61\x62\x65\x6C':_0xfdda[448],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[450]},{'\x6C\x61\x62\x65\x6C':_0xfdda[451],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[452]},{'\x6C\x61\x62\x65\x6C':_0xfdda[453],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[454]},{'\x6C\x61\x62\x65\x6C':_0xfdda[455],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[456]},{'\x6C\x61\x62\x65\x6C':_0xfdda[457],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[458]},{'\x6C\x61\x62\x65\x6C':_0xfdda[459],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[460]},{'\x6C\x61\x62\x65\x6C':_0xfdda[461],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[462]},{'\x6C\x61\x62\x65\x6C':_0xfdda[463],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[464]},{'\x6C\x61\x62\x65\x6C':_0xfdda[465],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[466]},{'\x6C\x61\x62\x65\x6C':_0xfdda[467],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[468]},{'\x6C\x61\x62\x65\x6C':_0xfdda[469],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[470]},{'\x6C\x61\x62\x65\x6C':_0xfdda[471],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[472]},{'\x6C\x61\x62\x65\x6C':_0xfdda[473],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[474]},{'\x6C\x61\x62\x65\x6C':_0xfdda[475],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[476]},{'\x6C\x61\x62\x65\x6C':_0xfdda[475],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[477]},{'\x6C\x61\x62\x65\x6C':_0xfdda[478],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[479]},{'\x6C\x61\x62\x65\x6C':_0xfdda[480],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[481]},{'\x6C\x61\x62\x65\x6C':_0xfdda[482],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[483]},{'\x6C\x61\x62\x65\x6C':_0xfdda[484],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[485]},{'\x6C\x61\x62\x65\x6C':_0xfdda[486],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[487]},{'\x6C\x61\x62\x65\x6C':_0xfdda[486],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[488]},{'\x6C\x61\x62\x65\x6C':_0xfdda[489],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[490]},{'\x6C\x61\x62\x65\x6C':_0xfdda[491],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[492]},{'\x6C\x61\x62\x65\x6C':_0xfdda[493],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[494]},{'\x6C\x61\x62\x65\x6C':_0xfdda[495],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[496]},{'\x6C\x61\x62\x65\x6C':_0xfdda[497],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[498]},{'\x6C\x61\x62\x65\x6C':_0xfdda[499],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[500]},{'\x6C\x61\x62\x65\x6C':_0xfdda[499],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[501]},{'\x6C\x61\x62\x65\x6C':_0xfdda[502],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[503]},{'\x6C\x61\x62\x65\x6C':_0xfdda[504],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[505]},{'\x6C\x61\x62\x65\x6C':_0xfdda[506],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[507]},{'\x6C\x61\x62\x65\x6C':_0xfdda[508],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[509]},{'\x6C\x61\x62\x65\x6C':_0xfdda[510],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[511]},{'\x6C\x61\x62\x65\x6C':_0xfdda[512],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[513]},{'\x6C\x61\x62\x65\x6C':_0xfdda[514],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[515]},{'\x6C\x61\x62\x65\x6C':_0xfdda[516],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[517]},{'\x6C\x61\x62\x65\x6C':_0xfdda[518],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[519]},{'\x6C\x61\x62\x65\x6C':_0xfdda[520],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[521]},{'\x6C\x61\x62\x65\x6C':_0xfdda[522],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[523]},{'\x6C\x61\x62\x65\x6C':_0xfdda[524],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[525]},{'\x6C\x61\x62\x65\x6C':_0xfdda[526],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[527]},{'\x6C\x61\x62\x65\x6C':_0xfdda[528],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[529]},{'\x6C\x61\x62\x65\x6C':_0xfdda[530],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[531]},{'\x6C\x61\x62\x65\x6C':_0xfdda[532],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[533]},{'\x6C\x61\x62\x65\x6C':_0xfdda[534],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[535]},{'\x6C\x61\x62\x65\x6C':_0xfdda[536],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[537]},{'\x6C\x61\x62\x65\x6C':_0xfdda[538],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[539]},{'\x6C\x61\x62\x65\x6C':_0xfdda[540],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[541]},{'\x6C\x61\x62\x65\x6C':_0xfdda[542],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[543]},{'\x6C\x61\x62\x65\x6C':_0xfdda[544],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[545]},{'\x6C\x61\x62\x65\x6C':_0xfdda[546],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[547]},{'\x6C\x61\x62\x65\x6C':_0xfdda[548],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[549]},{'\x6C\x61\x62\x65\x6C':_0xfdda[550],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[551]},{'\x6C\x61\x62\x65\x6C':_0xfdda[552],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[553]},{'\x6C\x61\x62\x65\x6C':_0xfdda[554],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[555]},{'\x6C\x61\x62\x65\x6C':_0xfdda[556],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[557]},{'\x6C\x61\x62\x65\x6C':_0xfdda[558],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[559]},{'\x6C\x61\x62\x65\x6C':_0xfdda[560],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[561]},{'\x6C\x61\x62\x65\x6C':_0xfdda[562],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[563]},{'\x6C\x61\x62\x65\x6C':_0xfdda[564],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[565]},{'\x6C\x61\x62\x65\x6C':_0xfdda[566],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[567]},{'\x6C\x61\x62\x65\x6C':_0xfdda[566],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[568]},{'\x6C\x61\x62\x65\x6C':_0xfdda[569],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[570]},{'\x6C\x61\x62\x65\x6C':_0xfdda[571],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[572]},{'\x6C\x61\x62\x65\x6C':_0xfdda[573],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[574]},{'\x6C\x61\x62\x65\x6C':_0xfdda[575],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[576]},{'\x6C\x61\x62\x65\x6C':_0xfdda[577],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[578]},{'\x6C\x61\x62\x65\x6C':_0xfdda[579],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[580]},{'\x6C\x61\x62\x65\x6C':_0xfdda[581],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[582]},{'\x6C\x61\x62\x65\x6C':_0xfdda[583],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[584]},{'\x6C\x61\x62\x65\x6C':_0xfdda[585],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[580]},{'\x6C\x61\x62\x65\x6C':_0xfdda[586],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[587]},{'\x6C\x61\x62\x65\x6C':_0xfdda[588],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[589]},{'\x6C\x61\x62\x65\x6C':_0xfdda[590],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[582]},{'\x6C\x61\x62\x65\x6C':_0xfdda[591],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[584]},{'\x6C\x61\x62\x65\x6C':_0xfdda[592],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[593]},{'\x6C\x61\x62\x65\x6C':_0xfdda[594],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[595]},{'\x6C\x61\x62\x65\x6C':_0xfdda[596],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[597]},{'\x6C\x61\x62\x65\x6C':_0xfdda[598],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[599]},{'\x6C\x61\x62\x65\x6C':_0xfdda[600],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[601]},{'\x6C\x61\x62\x65\x6C':_0xfdda[602],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[603]},{'\x6C\x61\x62\x65\x6C':_0xfdda[604],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[605]},{'\x6C\x61\x62\x65\x6C':_0xfdda[606],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[607]},{'\x6C\x61\x62\x65\x6C':_0xfdda[608],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[609]},{'\x6C\x61\x62\x65\x6C':_0xfdda[610],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[611]},{'\x6C\x61\x62\x65\x6C':_0xfdda[612],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[613]},{'\x6C\x61\x62\x65\x6C':_0xfdda[614],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[615]},{'\x6C\x61\x62\x65\x6C':_0xfdda[616],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[617]},{'\x6C\x61\x62\x65\x6C':_0xfdda[618],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[619]},{'\x6C\x61\x62\x65\x6C':_0xfdda[620],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[619]},{'\x6C\x61\x62\x65\x6C':_0xfdda[621],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[622]},{'\x6C\x61\x62\x65\x6C':_0xfdda[623],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[624]},{'\x6C\x61\x62\x65\x6C':_0xfdda[625],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[626]},{'\x6C\x61\x62\x65\x6C':_0xfdda[627],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[628]},{'\x6C\x61\x62\x65\x6C':_0xfdda[629],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[630]},{'\x6C\x61\x62\x65\x6C':_0xfdda[631],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[632]},{'\x6C\x61\x62\x65\x6C':_0xfdda[633],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[634]},{'\x6C\x61\x62\x65\x6C':_0xfdda[635],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[636]},{'\x6C\x61\x62\x65\x6C':_0xfdda[637],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[638]},{'\x6C\x61\x62\x65\x6C':_0xfdda[639],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[640]},{'\x6C\x61\x62\x65\x6C':_0xfdda[641],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[642]},{'\x6C\x61\x62\x65\x6C':_0xfdda[643],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[644]},{'\x6C\x61\x62\x65\x6C':_0xfdda[645],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[646]},{'\x6C\x61\x62\x65\x6C':_0xfdda[647],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[648]},{'\x6C\x61\x62\x65\x6C':_0xfdda[649],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[650]},{'\x6C\x61\x62\x65\x6C':_0xfdda[651],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[652]},{'\x6C\x61\x62\x65\x6C':_0xfdda[653],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[654]},{'\x6C\x61\x62\x65\x6C':_0xfdda[655],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[656]},{'\x6C\x61\x62\x65\x6C':_0xfdda[657],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[658]},{'\x6C\x61\x62\x65\x6C':_0xfdda[659],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[660]},{'\x6C\x61\x62\x65\x6C':_0xfdda[661],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[662]},{'\x6C\x61\x62\x65\x6C':_0xfdda[663],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[664]},{'\x6C\x61\x62\x65\x6C':_0xfdda[665],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[666]},{'\x6C\x61\x62\x65\x6C':_0xfdda[667],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[668]},{'\x6C\x61\x62\x65\x6C':_0xfdda[669],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[670]},{'\x6C\x61\x62\x65\x6C':_0xfdda[671],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[672]},{'\x6C\x61\x62\x65\x6C':_0xfdda[673],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[674]},{'\x6C\x61\x62\x65\x6C':_0xfdda[675],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[676]},{'\x6C\x61\x62\x65\x6C':_0xfdda[677],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[678]},{'\x6C\x61\x62\x65\x6C':_0xfdda[679],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[680]},{'\x6C\x61\x62\x65\x6C':_0xfdda[681],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[682]},{'\x6C\x61\x62\x65\x6C':_0xfdda[683],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[684]},{'\x6C\x61\x62\x65\x6C':_0xfdda[685],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[686]},{'\x6C\x61\x62\x65\x6C':_0xfdda[687],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[688]},{'\x6C\x61\x62\x65\x6C':_0xfdda[689],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[690]},{'\x6C\x61\x62\x65\x6C':_0xfdda[691],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[692]},{'\x6C\x61\x62\x65\x6C':_0xfdda[693],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[694]},{'\x6C\x61\x62\x65\x6C':_0xfdda[695],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[696]},{'\x6C\x61\x62\x65\x6C':_0xfdda[697],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[698]},{'\x6C\x61\x62\x65\x6C':_0xfdda[699],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[700]},{'\x6C\x61\x62\x65\x6C':_0xfdda[701],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[702]},{'\x6C\x61\x62\x65\x6C':_0xfdda[703],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[704]},{'\x6C\x61\x62\x65\x6C':_0xfdda[705],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[706]},{'\x6C\x61\x62\x65\x6C':_0xfdda[707],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[708]},{'\x6C\x61\x62\x65\x6C':_0xfdda[709],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[710]},{'\x6C\x61\x62\x65\x6C':_0xfdda[711],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[712]},{'\x6C\x61\x62\x65\x6C':_0xfdda[713],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[714]},{'\x6C\x61\x62\x65\x6C':_0xfdda[715],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[716]},{'\x6C\x61\x62\x65\x6C':_0xfdda[717],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[718]},{'\x6C\x61\x62\x65\x6C':_0xfdda[719],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[720]},{'\x6C\x61\x62\x65\x6C':_0xfdda[719],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[721]},{'\x6C\x61\x62\x65\x6C':_0xfdda[722],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[723]},{'\x6C\x61\x62\x65\x6C':_0xfdda[722],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[724]},{'\x6C\x61\x62\x65\x6C':_0xfdda[725],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[726]},{'\x6C\x61\x62\x65\x6C':_0xfdda[727],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[728]},{'\x6C\x61\x62\x65\x6C':_0xfdda[727],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[729]},{'\x6C\x61\x62\x65\x6C':_0xfdda[730],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[731]},{'\x6C\x61\x62\x65\x6C':_0xfdda[732],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[733]},{'\x6C\x61\x62\x65\x6C':_0xfdda[734],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[735]},{'\x6C\x61\x62\x65\x6C':_0xfdda[736],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[737]},{'\x6C\x61\x62\x65\x6C':_0xfdda[736],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[738]},{'\x6C\x61\x62\x65\x6C':_0xfdda[739],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[740]},{'\x6C\x61\x62\x65\x6C':_0xfdda[739],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[741]},{'\x6C\x61\x62\x65\x6C':_0xfdda[742],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[743]},{'\x6C\x61\x62\x65\x6C':_0xfdda[744],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[745]},{'\x6C\x61\x62\x65\x6C':_0xfdda[746],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[747]},{'\x6C\x61\x62\x65\x6C':_0xfdda[748],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[749]},{'\x6C\x61\x62\x65\x6C':_0xfdda[750],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[751]},{'\x6C\x61\x62\x65\x6C':_0xfdda[752],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[753]},{'\x6C\x61\x62\x65\x6C':_0xfdda[754],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[755]},{'\x6C\x61\x62\x65\x6C':_0xfdda[756],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[757]},{'\x6C\x61\x62\x65\x6C':_0xfdda[758],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[759]},{'\x6C\x61\x62\x65\x6C':_0xfdda[760],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[761]},{'\x6C\x61\x62\x65\x6C':_0xfdda[762],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[763]},{'\x6C\x61\x62\x65\x6C':_0xfdda[764],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[765]},{'\x6C\x61\x62\x65\x6C':_0xfdda[766],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[767]},{'\x6C\x61\x62\x65\x6C':_0xfdda[768],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[769]},{'\x6C\x61\x62\x65\x6C':_0xfdda[770],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[771]},{'\x6C\x61\x62\x65\x6C':_0xfdda[772],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[773]},{'\x6C\x61\x62\x65\x6C':_0xfdda[774],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[775]},{'\x6C\x61\x62\x65\x6C':_0xfdda[776],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[777]},{'\x6C\x61\x62\x65\x6C':_0xfdda[778],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[779]},{'\x6C\x61\x62\x65\x6C':_0xfdda[780],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[781]},{'\x6C\x61\x62\x65\x6C':_0xfdda[782],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[783]},{'\x6C\x61\x62\x65\x6C':_0xfdda[784],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[785]},{'\x6C\x61\x62\x65\x6C':_0xfdda[786],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[787]},{'\x6C\x61\x62\x65\x6C':_0xfdda[788],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[789]},{'\x6C\x61\x62\x65\x6C':_0xfdda[790],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[791]},{'\x6C\x61\x62\x65\x6C':_0xfdda[792],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[793]},{'\x6C\x61\x62\x65\x6C':_0xfdda[794],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[795]},{'\x6C\x61\x62\x65\x6C':_0xfdda[796],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[797]},{'\x6C\x61\x62\x65\x6C':_0xfdda[798],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[799]},{'\x6C\x61\x62\x65\x6C':_0xfdda[800],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[801]},{'\x6C\x61\x62\x65\x6C':_0xfdda[802],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[803]},{'\x6C\x61\x62\x65\x6C':_0xfdda[804],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[805]},{'\x6C\x61\x62\x65\x6C':_0xfdda[806],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[807]},{'\x6C\x61\x62\x65\x6C':_0xfdda[808],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[809]},{'\x6C\x61\x62\x65\x6C':_0xfdda[810],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[811]},{'\x6C\x61\x62\x65\x6C':_0xfdda[812],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[813]},{'\x6C\x61\x62\x65\x6C':_0xfdda[814],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[815]},{'\x6C\x61\x62\x65\x6C':_0xfdda[816],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[817]},{'\x6C\x61\x62\x65\x6C':_0xfdda[818],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[819]},{'\x6C\x61\x62\x65\x6C':_0xfdda[820],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[821]},{'\x6C\x61\x62\x65\x6C':_0xfdda[822],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[823]},{'\x6C\x61\x62\x65\x6C':_0xfdda[824],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[825]},{'\x6C\x61\x62\x65\x6C':_0xfdda[826],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[827]},{'\x6C\x61\x62\x65\x6C':_0xfdda[828],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[829]},{'\x6C\x61\x62\x65\x6C':_0xfdda[830],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[831]},{'\x6C\x61\x62\x65\x6C':_0xfdda[832],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[833]},{'\x6C\x61\x62\x65\x6C':_0xfdda[834],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[835]},{'\x6C\x61\x62\x65\x6C':_0xfdda[836],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[805]},{'\x6C\x61\x62\x65\x6C':_0xfdda[837],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[838]},{'\x6C\x61\x62\x65\x6C':_0xfdda[839],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[840]},{'\x6C\x61\x62\x65\x6C':_0xfdda[841],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[842]},{'\x6C\x61\x62\x65\x6C':_0xfdda[843],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[844]},{'\x6C\x61\x62\x65\x6C':_0xfdda[845],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[846]},{'\x6C\x61\x62\x65\x6C':_0xfdda[847],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[848]},{'\x6C\x61\x62\x65\x6C':_0xfdda[849],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[850]},{'\x6C\x61\x62\x65\x6C':_0xfdda[851],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[852]},{'\x6C\x61\x62\x65\x6C':_0xfdda[853],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[854]},{'\x6C\x61\x62\x65\x6C':_0xfdda[855],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[856]},{'\x6C\x61\x62\x65\x6C':_0xfdda[857],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[858]},{'\x6C\x61\x62\x65\x6C':_0xfdda[859],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[860]},{'\x6C\x61\x62\x65\x6C':_0xfdda[861],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[862]},{'\x6C\x61\x62\x65\x6C':_0xfdda[863],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[864]},{'\x6C\x61\x62\x65\x6C':_0xfdda[865],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[866]},{'\x6C\x61\x62\x65\x6C':_0xfdda[867],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[868]},{'\x6C\x61\x62\x65\x6C':_0xfdda[869],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[870]},{'\x6C\x61\x62\x65\x6C':_0xfdda[871],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[872]},{'\x6C\x61\x62\x65\x6C':_0xfdda[873],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[844]},{'\x6C\x61\x62\x65\x6C':_0xfdda[874],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[875]},{'\x6C\x61\x62\x65\x6C':_0xfdda[876],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[877]},{'\x6C\x61\x62\x65\x6C':_0xfdda[878],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[879]},{'\x6C\x61\x62\x65\x6C':_0xfdda[880],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[881]},{'\x6C\x61\x62\x65\x6C':_0xfdda[882],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[883]},{'\x6C\x61\x62\x65\x6C':_0xfdda[884],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[885]},{'\x6C\x61\x62\x65\x6C':_0xfdda[886],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[887]},{'\x6C\x61\x62\x65\x6C':_0xfdda[888],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[889]},{'\x6C\x61\x62\x65\x6C':_0xfdda[890],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[891]},{'\x6C\x61\x62\x65\x6C':_0xfdda[892],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[893]},{'\x6C\x61\x62\x65\x6C':_0xfdda[894],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[895]},{'\x6C\x61\x62\x65\x6C':_0xfdda[896],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[897]},{'\x6C\x61\x62\x65\x6C':_0xfdda[898],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[899]},{'\x6C\x61\x62\x65\x6C':_0xfdda[900],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[901]},{'\x6C\x61\x62\x65\x6C':_0xfdda[902],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[903]},{'\x6C\x61\x62\x65\x6C':_0xfdda[904],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[905]},{'\x6C\x61\x62\x65\x6C':_0xfdda[906],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[907]},{'\x6C\x61\x62\x65\x6C':_0xfdda[908],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[909]},{'\x6C\x61\x62\x65\x6C':_0xfdda[910],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[911]},{'\x6C\x61\x62\x65\x6C':_0xfdda[912],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[913]},{'\x6C\x61\x62\x65\x6C':_0xfdda[914],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[915]},{'\x6C\x61\x62\x65\x6C':_0xfdda[916],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[917]},{'\x6C\x61\x62\x65\x6C':_0xfdda[918],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[919]},{'\x6C\x61\x62\x65\x6C':_0xfdda[920],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[921]},{'\x6C\x61\x62\x65\x6C':_0xfdda[922],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[923]},{'\x6C\x61\x62\x65\x6C':_0xfdda[924],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[925]},{'\x6C\x61\x62\x65\x6C':_0xfdda[926],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[927]},{'\x6C\x61\x62\x65\x6C':_0xfdda[928],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[929]},{'\x6C\x61\x62\x65\x6C':_0xfdda[930],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[931]},{'\x6C\x61\x62\x65\x6C':_0xfdda[932],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[933]},{'\x6C\x61\x62\x65\x6C':_0xfdda[934],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[935]},{'\x6C\x61\x62\x65\x6C':_0xfdda[936],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[937]},{'\x6C\x61\x62\x65\x6C':_0xfdda[938],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[939]},{'\x6C\x61\x62\x65\x6C':_0xfdda[936],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[940]},{'\x6C\x61\x62\x65\x6C':_0xfdda[938],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[941]},{'\x6C\x61\x62\x65\x6C':_0xfdda[910],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[942]},{'\x6C\x61\x62\x65\x6C':_0xfdda[943],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[944]},{'\x6C\x61\x62\x65\x6C':_0xfdda[945],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[946]},{'\x6C\x61\x62\x65\x6C':_0xfdda[947],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[948]},{'\x6C\x61\x62\x65\x6C':_0xfdda[947],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[949]},{'\x6C\x61\x62\x65\x6C':_0xfdda[950],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[951]},{'\x6C\x61\x62\x65\x6C':_0xfdda[952],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[953]},{'\x6C\x61\x62\x65\x6C':_0xfdda[952],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[954]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[956]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[957]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[958]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[959]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[960]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[961]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[962]},{'\x6C\x61\x62\x65\x6C':_0xfdda[955],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[963]},{'\x6C\x61\x62\x65\x6C':_0xfdda[964],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[965]},{'\x6C\x61\x62\x65\x6C':_0xfdda[964],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[966]},{'\x6C\x61\x62\x65\x6C':_0xfdda[967],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[968]},{'\x6C\x61\x62\x65\x6C':_0xfdda[967],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[969]},{'\x6C\x61\x62\x65\x6C':_0xfdda[970],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[971]},{'\x6C\x61\x62\x65\x6C':_0xfdda[970],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[972]},{'\x6C\x61\x62\x65\x6C':_0xfdda[973],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[974]},{'\x6C\x61\x62\x65\x6C':_0xfdda[973],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[975]},{'\x6C\x61\x62\x65\x6C':_0xfdda[976],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[977]},{'\x6C\x61\x62\x65\x6C':_0xfdda[976],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[978]},{'\x6C\x61\x62\x65\x6C':_0xfdda[976],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[979]},{'\x6C\x61\x62\x65\x6C':_0xfdda[976],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[980]},{'\x6C\x61\x62\x65\x6C':_0xfdda[981],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[982]},{'\x6C\x61\x62\x65\x6C':_0xfdda[981],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[983]},{'\x6C\x61\x62\x65\x6C':_0xfdda[981],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[984]},{'\x6C\x61\x62\x65\x6C':_0xfdda[981],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[985]},{'\x6C\x61\x62\x65\x6C':_0xfdda[981],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[986]},_0xfdda[987],_0xfdda[988],_0xfdda[989],_0xfdda[990],_0xfdda[991],_0xfdda[992],{'\x6C\x61\x62\x65\x6C':_0xfdda[993],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[111]},_0xfdda[994],_0xfdda[995],_0xfdda[996],_0xfdda[997],_0xfdda[998],_0xfdda[999],_0xfdda[1000],{'\x6C\x61\x62\x65\x6C':_0xfdda[1001],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[1002]},_0xfdda[1003],_0xfdda[1004],{'\x6C\x61\x62\x65\x6C':_0xfdda[1005],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[1006]},_0xfdda[1007]]);var _0x6009x43=_0x6009x48({'\x41\x70\x70\x6C\x65':{'\x69\x50\x61\x64':1,'\x69\x50\x68\x6F\x6E\x65':1,'\x69\x50\x6F\x64':1},'\x41\x6C\x63\x61\x74\x65\x6C':{},'\x41\x72\x63\x68\x6F\x73':{},'\x41\x6D\x61\x7A\x6F\x6E':{'\x4B\x69\x6E\x64\x6C\x65':1,'\x4B\x69\x6E\x64\x6C\x65\x20\x46\x69\x72\x65':1},'\x41\x73\x75\x73':{'\x54\x72\x61\x6E\x73\x66\x6F\x72\x6D\x65\x72':1},'\x42\x61\x72\x6E\x65\x73\x20\x26\x20\x4E\x6F\x62\x6C\x65':{'\x4E\x6F\x6F\x6B':1},'\x42\x6C\x61\x63\x6B\x42\x65\x72\x72\x79':{'\x50\x6C\x61\x79\x42\x6F\x6F\x6B':1},'\x47\x6F\x6F\x67\x6C\x65':{'\x47\x6F\x6F\x67\x6C\x65\x20\x54\x56':1,'\x4E\x65\x78\x75\x73':1,'\x50\x69\x78\x65\x6C':1},'\x48\x50':{'\x54\x6F\x75\x63\x68\x50\x61\x64':1},'\x48\x54\x43':{},'\x48\x75\x61\x77\x65\x69':{},'\x4C\x65\x6E\x6F\x76\x6F':{},'\x4C\x47':{},'\x4D\x69\x63\x72\x6F\x73\x6F\x66\x74':{'\x58\x62\x6F\x78':1,'\x58\x62\x6F\x78\x20\x4F\x6E\x65':1},'\x4D\x6F\x74\x6F\x72\x6F\x6C\x61':{'\x58\x6F\x6F\x6D':1},'\x4E\x69\x6E\x74\x65\x6E\x64\x6F':{'\x57\x69\x69\x20\x55':1,'\x57\x69\x69':1},'\x4E\x6F\x6B\x69\x61':{'\x4C\x75\x6D\x69\x61':1},'\x4F\x70\x70\x6F':{},'\x53\x61\x6D\x73\x75\x6E\x67':{'\x47\x61\x6C\x61\x78\x79\x20\x53':1,'\x47\x61\x6C\x61\x78\x79\x20\x53\x32':1,'\x47\x61\x6C\x61\x78\x79\x20\x53\x33':1,'\x47\x61\x6C\x61\x78\x79\x20\x53\x34':1},'\x53\x6F\x6E\x79':{'\x50\x6C\x61\x79\x53\x74\x61\x74\x69\x6F\x6E':1,'\x50\x6C\x61\x79\x53\x74\x61\x74\x69\x6F\x6E\x20\x56\x69\x74\x61':1},'\x58\x69\x61\x6F\x6D\x69':{'\x4D\x69':1,'\x52\x65\x64\x6D\x69':1}});var _0x6009x43=_0x6009x4b([{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[161]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[163]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[164]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[166]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[168]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[170]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[172]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1008],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[174]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1009],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[176]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1010],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[178]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1010],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[180]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[182]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[184]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[186]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[188]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[190]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[192]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[194]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[196]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[198]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[200]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[1012]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[204]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[206]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[208]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[210]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[212]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[214]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[216]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[218]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[220]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[222]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1011],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[224]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[225]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[226]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[227]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[228]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[229]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[231]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[231]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[232]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[233]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[234]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[235]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[236]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1013],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[237]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[239]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[240]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[242]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[244]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[246]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[247]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[249]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[250]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[251]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[253]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[254]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[256]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[257]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[259]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[260]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[261]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[263]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[264]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[265]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[267]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[268]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[269]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[270]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[272]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[273]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[274]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[276]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[277]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[278]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[280]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[282]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[283]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[285]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[286]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[288]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[290]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1014],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[292]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[294]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[296]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[298]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[300]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[302]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[304]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[306]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[308]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[310]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[312]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[314]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[316]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[318]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[320]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[322]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[324]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[326]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[328]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[330]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[332]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[334]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[336]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[338]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[339]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[341]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[343]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[345]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[347]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[349]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[351]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[353]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[355]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[357]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[359]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[361]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[363]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[365]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[367]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[369]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[371]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[373]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[375]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[377]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[379]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[381]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[347]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[384]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[386]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[388]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[390]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[339]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[393]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[395]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[397]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[399]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1015],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[401]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[402]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[403]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[404]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[405]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[406]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[407]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[408]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[409]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[410]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[411]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[412]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[413]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[414]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[415]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1016],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[416]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[418]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[420]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[422]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[424]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[426]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[428]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[430]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[432]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[434]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[436]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[438]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[439]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[441]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[443]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[445]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[447]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[449]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[450]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[452]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[454]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[456]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[458]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[460]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[462]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[464]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[466]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[468]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1017],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[470]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[472]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[474]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[476]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[477]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[479]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[481]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[483]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[485]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[487]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[488]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[490]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[492]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[494]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[496]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[498]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[500]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[501]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[503]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[505]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[507]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[509]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[511]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[513]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[515]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[517]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[519]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[521]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[523]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[525]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[527]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[529]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[531]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[533]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[535]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[537]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[539]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[541]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[543]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[545]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[547]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[549]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[551]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[553]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[555]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[557]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[559]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[561]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[563]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[565]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[567]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[568]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[570]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[572]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[574]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[576]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[578]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[580]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[582]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[584]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[580]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[587]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[589]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[582]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[584]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[593]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[595]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[597]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[599]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[601]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[603]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[605]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[607]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[609]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[611]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[613]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[615]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[617]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[619]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[619]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[622]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[624]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[626]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[628]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[630]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[632]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[634]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[636]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[638]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[640]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[642]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[644]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[646]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[648]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[650]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[652]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[654]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[656]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[658]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[660]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[662]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[664]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[666]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[668]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[670]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[672]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[674]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[676]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[678]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[680]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[682]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[684]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[686]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[688]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[690]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[692]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[694]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[696]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[698]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[700]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[702]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[704]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[706]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[708]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[710]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[712]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[714]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1018],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[716]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[718]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[720]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[721]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[723]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[724]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[726]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[728]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[729]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[731]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[733]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[735]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[737]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[738]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[740]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[741]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1019],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[743]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[745]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[747]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[749]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[751]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[753]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[755]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[757]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[759]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[761]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[763]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[765]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[767]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[769]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[771]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[773]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[775]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[777]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[779]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[781]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[783]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[785]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[787]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[789]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[791]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[793]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[795]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[797]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1020],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[799]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[801]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[803]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[805]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[807]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[809]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[811]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[813]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[815]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[817]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[819]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[821]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[823]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[825]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[827]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[829]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[831]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[833]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[835]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[805]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[838]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[840]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[842]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[844]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[846]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[848]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[850]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[852]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[854]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[856]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[858]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[860]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[862]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[864]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[866]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[868]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[870]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[872]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[844]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[875]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[877]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[879]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[881]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[883]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[885]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[887]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[889]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[891]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[893]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[895]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[897]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[899]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1021],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[901]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1022],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[991]},{'\x6C\x61\x62\x65\x6C':_0xfdda[1022],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[989]}]);var _0x6009x10=_0x6009x4a([_0xfdda[1023],_0xfdda[1024],_0xfdda[1025],_0xfdda[1026],{'\x6C\x61\x62\x65\x6C':_0xfdda[1027],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[1028]},_0xfdda[1029],{'\x6C\x61\x62\x65\x6C':_0xfdda[1030],'\x70\x61\x74\x74\x65\x72\x6E':_0xfdda[1031]},_0xfdda[1032],_0xfdda[1033],_0xfdda[1034],_0xfdda[1035],_0xfdda[1036],_0xfdda[1037],_0xfdda[1038],_0xfdda[1039],_0xfdda[1040],_0xfdda[1041],_0xfdda[1042],_0xfdda[1043],_0xfdda[1044],_0xfdda[1045],_0xfdda[1046],_0xfdda[1047],_0xfdda[1048],_0xfdda[1049],_0xfdda[1050],_0xfdda[1051],_0xfdda[1052],_0xfdda[1053],_0xfdda[1054],_0xfdda[28]]);function _0x6009x44(_0x6009x45){return _0x6009x22(_0x6009x45,function(_0x6009x46,_0x6009x47){return _0x6009x46|| RegExp(_0xfdda[1055]+ (_0x6009x47[_0xfdda[1056]]|| _0x6009x21(_0x6009x47))+ _0xfdda[1055],_0xfdda[29])[_0xfdda[27]](_0x6009x27)&& (_0x6009x47[_0xfdda[1057]]|| _0x6009x47)})}function _0x6009x48(_0x6009x45){return _0x6009x22(_0x6009x45,function(_0x6009x46,_0x6009x1d,_0x6009x1b){return _0x6009x46|| (_0x6009x1d[_0x6009x42]|| _0x6009x1d[/^[a-z]+(?: +[a-z]+\b)*/i[_0xfdda[27]](_0x6009x42)]|| RegExp(_0xfdda[1055]+ _0x6009x21(_0x6009x1b)+ _0xfdda[1058],_0xfdda[29])[_0xfdda[27]](_0x6009x27))&& _0x6009x1b})}function _0x6009x49(_0x6009x45){return _0x6009x22(_0x6009x45,function(_0x6009x46,_0x6009x47){return _0x6009x46|| RegExp(_0xfdda[1055]+ (_0x6009x47[_0xfdda[1056]]|| _0x6009x21(_0x6009x47))+ _0xfdda[1055],_0xfdda[29])[_0xfdda[27]](_0x6009x27)&& (_0x6009x47[_0xfdda[1057]]|| _0x6009x47)})}function _0x6009x4a(_0x6009x45){return _0x6009x22(_0x6009x45,function(_0x6009x46,_0x6009x47){var _0x6009x11=_0x6009x47[_0xfdda[1056]]|| _0x6009x21(_0x6009x47);if(!_0x6009x46&& (_0x6009x46= RegExp(_0xfdda[1055]+ _0x6009x11+ _0xfdda[1059],_0xfdda[29])[_0xfdda[27]](_0x6009x27))){_0x6009x46= _0x6009xf(_0x6009x46,_0x6009x11,_0x6009x47[_0xfdda[1057]]|| _0x6009x47)};return _0x6009x46})}function _0x6009x4b(_0x6009x45){return _0x6009x22(_0x6009x45,function(_0x6009x46,_0x6009x47){var _0x6009x11=_0x6009x47[_0xfdda[1056]]|| _0x6009x21(_0x6009x47);if(!_0x6009x46&& (_0x6009x46= RegExp(_0xfdda[1055]+ _0x6009x11+ _0xfdda[1060],_0xfdda[29])[_0xfdda[27]](_0x6009x27)|| RegExp(_0xfdda[1055]+ _0x6009x11+ _0xfdda[1061],_0xfdda[29])[_0xfdda[27]](_0x6009x27)|| RegExp(_0xfdda[1055]+ _0x6009x11+ _0xfdda[1062],_0xfdda[29])[_0xfdda[27]](_0x6009x27))){if((_0x6009x46= String((_0x6009x47[_0xfdda[1057]]&&  !RegExp(_0x6009x11,_0xfdda[29])[_0xfdda[26]](_0x6009x47[_0xfdda[1057]]))?_0x6009x47[_0xfdda[1057]]:_0x6009x46)[_0xfdda[32]](_0xfdda[1063]))[1]&&  !/[\d.]+/[_0xfdda[26]](_0x6009x46[0])){_0x6009x46[0]+= _0xfdda[1064]+ _0x6009x46[1]};_0x6009x47= _0x6009x47[_0xfdda[1057]]|| _0x6009x47;_0x6009x46= _0x6009x19(_0x6009x46[0][_0xfdda[30]](RegExp(_0x6009x11,_0xfdda[29]),_0x6009x47)[_0xfdda[30]](RegExp(_0xfdda[1068]+ _0x6009x47+ _0xfdda[1069],_0xfdda[29]),_0xfdda[1064])[_0xfdda[30]](RegExp(_0xfdda[1065]+ _0x6009x47+ _0xfdda[1066],_0xfdda[29]),_0xfdda[1067]))};return _0x6009x46})}function _0x6009x4c(_0x6009x4d){return _0x6009x22(_0x6009x4d,function(_0x6009x46,_0x6009x11){return _0x6009x46|| (RegExp(_0x6009x11+ _0xfdda[1070],_0xfdda[29])[_0xfdda[27]](_0x6009x27)|| 0)[1]|| null})}function _0x6009x4e(){return this[_0xfdda[1071]]|| _0xfdda[35]}_0x6009x40&& (_0x6009x40= [_0x6009x40]);if(/\bAndroid\b/[_0xfdda[26]](_0x6009x10)&&  !_0x6009x42&& (_0x6009x13= /\bAndroid[^;]*;(.*?)(?:Build|\) AppleWebKit)\b/i[_0xfdda[27]](_0x6009x27))){_0x6009x42= _0x6009x25(_0x6009x13[1])[_0xfdda[30]](/^[a-z]{2}-[a-z]{2};\s*/i,_0xfdda[35])|| null};if(_0x6009x43&&  !_0x6009x42){_0x6009x42= _0x6009x4b([_0x6009x43])}else {if(_0x6009x43&& _0x6009x42){_0x6009x42= _0x6009x42[_0xfdda[30]](RegExp(_0xfdda[1072]+ _0x6009x21(_0x6009x43)+ _0xfdda[1074],_0xfdda[29]),_0x6009x43+ _0xfdda[1064])[_0xfdda[30]](RegExp(_0xfdda[1072]+ _0x6009x21(_0x6009x43)+ _0xfdda[1066],_0xfdda[29]),_0x6009x43+ _0xfdda[1073])}};if((_0x6009x13= /\bGoogle TV\b/[_0xfdda[27]](_0x6009x42))){_0x6009x42= _0x6009x13[0]};if(/\bSimulator\b/i[_0xfdda[26]](_0x6009x27)){_0x6009x42= (_0x6009x42?_0x6009x42+ _0xfdda[1064]:_0xfdda[35])+ _0xfdda[1075]};if(_0x6009x41== _0xfdda[125]&& /\bOPiOS\b/[_0xfdda[26]](_0x6009x27)){_0x6009x3b[_0xfdda[1077]](_0xfdda[1076])};if(_0x6009x41== _0xfdda[138]&& /\blike iPhone OS\b/[_0xfdda[26]](_0x6009x27)){_0x6009x13= _0x6009x26(_0x6009x27[_0xfdda[30]](/like iPhone OS/,_0xfdda[35]));_0x6009x43= _0x6009x13[_0xfdda[1078]];_0x6009x42= _0x6009x13[_0xfdda[1079]]}else {if(/^iP/[_0xfdda[26]](_0x6009x42)){_0x6009x41|| (_0x6009x41= _0xfdda[141]);_0x6009x10= _0xfdda[1080]+ ((_0x6009x13= / OS ([\d_]+)/i[_0xfdda[27]](_0x6009x27))?_0xfdda[1064]+ _0x6009x13[1][_0xfdda[30]](/_/g,_0xfdda[36]):_0xfdda[35])}else {if(_0x6009x41== _0xfdda[95]&& /^Linux\b/i[_0xfdda[26]](_0x6009x10)){_0x6009x10= _0xfdda[1036]}else {if((_0x6009x43&& _0x6009x43!= _0xfdda[1016]&& ((/Chrome/[_0xfdda[26]](_0x6009x41)&&  !/\bMobile Safari\b/i[_0xfdda[26]](_0x6009x27))|| /\bVita\b/[_0xfdda[26]](_0x6009x42)))|| (/\bAndroid\b/[_0xfdda[26]](_0x6009x10)&& /^Chrome/[_0xfdda[26]](_0x6009x41)&& /\bVersion\//i[_0xfdda[26]](_0x6009x27))){_0x6009x41= _0xfdda[1081];_0x6009x10= /\bAndroid\b/[_0xfdda[26]](_0x6009x10)?_0x6009x10:_0xfdda[1025]}else {if(_0x6009x41== _0xfdda[110]){if(!/\bMobi/i[_0xfdda[26]](_0x6009x27)){_0x6009x10= _0xfdda[1025];_0x6009x3b[_0xfdda[1083]](_0xfdda[1082])};if(/Accelerated *= *true/i[_0xfdda[26]](_0x6009x27)){_0x6009x3b[_0xfdda[1083]](_0xfdda[1084])}}else {if(_0x6009x41== _0xfdda[123]&& /\bUCWEB\b/[_0xfdda[26]](_0x6009x27)){_0x6009x3b[_0xfdda[1077]](_0xfdda[1085])}else {if(_0x6009x41== _0xfdda[102]&& (_0x6009x13= /\bFirefox\/([\d.]+)\b/[_0xfdda[27]](_0x6009x27))){_0x6009x3b[_0xfdda[1077]](_0xfdda[1086]+ _0x6009x13[1])}else {if(_0x6009x41== _0xfdda[134]&& (_0x6009x13= /\b(Mobile|Tablet|TV)\b/i[_0xfdda[27]](_0x6009x27))){_0x6009x10|| (_0x6009x10= _0xfdda[1087]);_0x6009x42|| (_0x6009x42= _0x6009x13[1])}else {if(!_0x6009x41|| (_0x6009x13= !/\bMinefield\b/i[_0xfdda[26]](_0x6009x27)&& /\b(?:Firefox|Safari)\b/[_0xfdda[27]](_0x6009x41))){if(_0x6009x41&&  !_0x6009x42&& /[\/,]|^[^(]+?\)/[_0xfdda[26]](_0x6009x27[_0xfdda[13]](_0x6009x27[_0xfdda[1088]](_0x6009x13+ _0xfdda[1063])+ 8))){_0x6009x41= null};if((_0x6009x13= _0x6009x42|| _0x6009x43|| _0x6009x10)&& (_0x6009x42|| _0x6009x43|| /\b(?:Android|Symbian OS|Tablet OS|webOS)\b/[_0xfdda[26]](_0x6009x10))){_0x6009x41= /[a-z]+(?: Hat)?/i[_0xfdda[27]](/\bAndroid\b/[_0xfdda[26]](_0x6009x10)?_0x6009x10:_0x6009x13)+ _0xfdda[1089]}}else {if(_0x6009x41== _0xfdda[87]&& (_0x6009x13= (/\bChrome\/([\d.]+)\b/[_0xfdda[27]](_0x6009x27)|| 0)[1])){_0x6009x3b[_0xfdda[1077]](_0xfdda[1090]+ _0x6009x13)}}}}}}}}}};if(!_0x6009x3e){_0x6009x3e= _0x6009x4c([_0xfdda[1091],_0xfdda[1092],_0x6009x21(_0x6009x41),_0xfdda[1093]])};if((_0x6009x13= _0x6009x40== _0xfdda[71]&& parseFloat(_0x6009x3e)> 3&& _0xfdda[69]|| /\bOpera\b/[_0xfdda[26]](_0x6009x41)&& (/\bOPR\b/[_0xfdda[26]](_0x6009x27)?_0xfdda[1094]:_0xfdda[72])|| /\b(?:Midori|Nook|Safari)\b/i[_0xfdda[26]](_0x6009x27)&&  !/^(?:Trident|EdgeHTML)$/[_0xfdda[26]](_0x6009x40)&& _0xfdda[69]|| !_0x6009x40&& /\bMSIE\b/i[_0xfdda[26]](_0x6009x27) && (_0x6009x10== _0xfdda[39]?_0xfdda[74]:_0xfdda[68])|| _0x6009x40== _0xfdda[69]&& /\bPlayStation\b(?! Vita\b)/i[_0xfdda[26]](_0x6009x41)&& _0xfdda[73])){_0x6009x40= [_0x6009x13]};if(_0x6009x41== _0xfdda[138]&& (_0x6009x13= (/; *(?:XBLWP|ZuneWP)(\d+)/i[_0xfdda[27]](_0x6009x27)|| 0)[1])){_0x6009x41+= _0xfdda[1095];_0x6009x10= _0xfdda[1096]+ (/\+$/[_0xfdda[26]](_0x6009x13)?_0x6009x13:_0x6009x13+ _0xfdda[1097]);_0x6009x3b[_0xfdda[1083]](_0xfdda[1082])}else {if(/\bWPDesktop\b/i[_0xfdda[26]](_0x6009x27)){_0x6009x41= _0xfdda[1098];_0x6009x10= _0xfdda[1099];_0x6009x3b[_0xfdda[1083]](_0xfdda[1082]);_0x6009x3e|| (_0x6009x3e= (/\brv:([\d.]+)/[_0xfdda[27]](_0x6009x27)|| 0)[1])}else {if(_0x6009x41!= _0xfdda[138]&& _0x6009x40== _0xfdda[68]&& (_0x6009x13= /\brv:([\d.]+)/[_0xfdda[27]](_0x6009x27))){if(_0x6009x41){_0x6009x3b[_0xfdda[1077]](_0xfdda[1100]+ _0x6009x41+ (_0x6009x3e?_0xfdda[1064]+ _0x6009x3e:_0xfdda[35]))};_0x6009x41= _0xfdda[138];_0x6009x3e= _0x6009x13[1]}}};if(_0x6009x3d){if(_0x6009x1e(_0x6009x28,_0xfdda[4])){if(_0x6009x33){_0x6009x13= _0x6009x33[_0xfdda[1102]][_0xfdda[1101]];_0x6009x3a= _0x6009x13[_0xfdda[1104]](_0xfdda[1103]);_0x6009x10= _0x6009x10|| _0x6009x13[_0xfdda[1104]](_0xfdda[1105])+ _0xfdda[1064]+ _0x6009x13[_0xfdda[1104]](_0xfdda[1106])};if(_0x6009x34){try{_0x6009x3e= _0x6009x28[_0xfdda[1109]](_0xfdda[1108])[_0xfdda[64]][_0xfdda[1107]](_0xfdda[36]);_0x6009x41= _0xfdda[1110]}catch(e){if((_0x6009x13= _0x6009x28[_0xfdda[1111]])&& _0x6009x13[_0xfdda[4]][_0xfdda[1111]]== _0x6009x28[_0xfdda[1111]]){_0x6009x41= _0xfdda[1112];_0x6009x10|| (_0x6009x10= _0x6009x13[0][_0xfdda[1113]]|| null)}};if(!_0x6009x41){_0x6009x41= _0xfdda[1114]}}else {if( typeof _0x6009x28[_0xfdda[1115]]== _0xfdda[3]&&  !_0x6009x28[_0xfdda[1115]][_0xfdda[1116]]&& (_0x6009x13= _0x6009x28[_0xfdda[1115]])){if( typeof _0x6009x13[_0xfdda[1117]]== _0xfdda[3]){if( typeof _0x6009x13[_0xfdda[1117]][_0xfdda[1118]]== _0xfdda[1119]){_0x6009x3b[_0xfdda[1077]](_0xfdda[1120]+ _0x6009x13[_0xfdda[1117]][_0xfdda[1121]]);_0x6009x41= _0xfdda[87];_0x6009x3e= _0x6009x13[_0xfdda[1117]][_0xfdda[1118]]}else {if( typeof _0x6009x13[_0xfdda[1117]][_0xfdda[1122]]== _0xfdda[1119]){_0x6009x3b[_0xfdda[1077]](_0xfdda[1090]+ _0x6009x3e,_0xfdda[1120]+ _0x6009x13[_0xfdda[1117]][_0xfdda[1121]]);_0x6009x41= _0xfdda[1123];_0x6009x3e= _0x6009x13[_0xfdda[1117]][_0xfdda[1122]]}}};if(!_0x6009x41){_0x6009x41= _0xfdda[1124];_0x6009x3a= _0x6009x13[_0xfdda[1125]];_0x6009x10= _0x6009x13[_0xfdda[1126]];_0x6009x3e= /[\d.]+/[_0xfdda[27]](_0x6009x13[_0xfdda[64]]);_0x6009x3e= _0x6009x3e?_0x6009x3e[0]:null}}}}else {if(_0x6009x1c((_0x6009x13= _0x6009x28[_0xfdda[1127]]))== _0x6009x2f){_0x6009x41= _0xfdda[82];_0x6009x10= _0x6009x13[_0xfdda[1129]][_0xfdda[1111]][_0xfdda[1128]][_0xfdda[1113]]}else {if(_0x6009x1c((_0x6009x13= _0x6009x28[_0xfdda[1130]]))== _0x6009x32){_0x6009x41= _0xfdda[103];_0x6009x3e= (_0x6009x13= _0x6009x13[_0xfdda[64]]|| null)&& (_0x6009x13[_0xfdda[1131]]+ _0xfdda[36]+ _0x6009x13[_0xfdda[1132]]+ _0xfdda[36]+ _0x6009x13[_0xfdda[1133]])}else {if( typeof _0x6009x37[_0xfdda[1134]]== _0xfdda[43]&& (_0x6009x13= /\bTrident\/(\d+)/i[_0xfdda[27]](_0x6009x27))){_0x6009x3e= [_0x6009x3e,_0x6009x37[_0xfdda[1134]]];if((_0x6009x13= +_0x6009x13[1]+ 4)!= _0x6009x3e[1]){_0x6009x3b[_0xfdda[1077]](_0xfdda[1135]+ _0x6009x3e[1]+ _0xfdda[1136]);_0x6009x40&& (_0x6009x40[1]= _0xfdda[35]);_0x6009x3e[1]= _0x6009x13};_0x6009x3e= _0x6009x41== _0xfdda[138]?String(_0x6009x3e[1][_0xfdda[1137]](1)):_0x6009x3e[0]}else {if( typeof _0x6009x37[_0xfdda[1134]]== _0xfdda[43]&& /^(?:Chrome|Firefox)\b/[_0xfdda[26]](_0x6009x41)){_0x6009x3b[_0xfdda[1077]](_0xfdda[1138]+ _0x6009x41+ _0xfdda[1064]+ _0x6009x3e);_0x6009x41= _0xfdda[138];_0x6009x3e= _0xfdda[1139];_0x6009x40= [_0xfdda[68]];_0x6009x10= _0xfdda[1140]}}}}};_0x6009x10= _0x6009x10&& _0x6009x19(_0x6009x10)};if(_0x6009x3e&& (_0x6009x13= /(?:[ab]|dp|pre|[ab]\d+pre)(?:\d+\+?)?$/i[_0xfdda[27]](_0x6009x3e)|| /(?:alpha|beta)(?: ?\d)?/i[_0xfdda[27]](_0x6009x27+ _0xfdda[1141]+ (_0x6009x3d&& _0x6009x2a[_0xfdda[1142]]))|| /\bMinefield\b/i[_0xfdda[26]](_0x6009x27)&& _0xfdda[56])){_0x6009x3c= /b/i[_0xfdda[26]](_0x6009x13)?_0xfdda[1143]:_0xfdda[1144];_0x6009x3e= _0x6009x3e[_0xfdda[30]](RegExp(_0x6009x13+ _0xfdda[1145]),_0xfdda[35])+ (_0x6009x3c== _0xfdda[1143]?_0x6009x36:_0x6009x35)+ (/\d+\+?/[_0xfdda[27]](_0x6009x13)|| _0xfdda[35])};if(_0x6009x41== _0xfdda[89]|| _0x6009x41== _0xfdda[134]&& /\b(?:Android|Firefox OS|KaiOS)\b/[_0xfdda[26]](_0x6009x10)){_0x6009x41= _0xfdda[1146]}else {if(_0x6009x41== _0xfdda[97]&& _0x6009x3e){_0x6009x3e= _0x6009x3e[_0xfdda[30]](/\.[\d.]+/,_0xfdda[1097])}else {if(/\bXbox\b/i[_0xfdda[26]](_0x6009x42)){if(_0x6009x42== _0xfdda[1005]){_0x6009x10= null};if(_0x6009x42== _0xfdda[1005]&& /\bIEMobile\b/[_0xfdda[26]](_0x6009x27)){_0x6009x3b[_0xfdda[1083]](_0xfdda[1147])}}else {if((/^(?:Chrome|IE|Opera)$/[_0xfdda[26]](_0x6009x41)|| _0x6009x41&&  !_0x6009x42&&  !/Browser|Mobi/[_0xfdda[26]](_0x6009x41))&& (_0x6009x10== _0xfdda[1148]|| /Mobi/i[_0xfdda[26]](_0x6009x27))){_0x6009x41+= _0xfdda[1095]}else {if(_0x6009x41== _0xfdda[138]&& _0x6009x3d){try{if(_0x6009x28[_0xfdda[1149]]=== null){_0x6009x3b[_0xfdda[1083]](_0xfdda[1150])}}catch(e){_0x6009x3b[_0xfdda[1083]](_0xfdda[1151])}}else {if((/\bBlackBerry\b/[_0xfdda[26]](_0x6009x42)|| /\bBB10\b/[_0xfdda[26]](_0x6009x27))&& (_0x6009x13= (RegExp(_0x6009x42[_0xfdda[30]](/ +/g,_0xfdda[1152])+ _0xfdda[1153],_0xfdda[29])[_0xfdda[27]](_0x6009x27)|| 0)[1]|| _0x6009x3e)){_0x6009x13= [_0x6009x13,/BB10/[_0xfdda[26]](_0x6009x27)];_0x6009x10= (_0x6009x13[1]?(_0x6009x42= null,_0x6009x43= _0xfdda[142]):_0xfdda[1154])+ _0xfdda[1064]+ _0x6009x13[0];_0x6009x3e= null}else {if(this!= _0x6009x1a&& _0x6009x42!= _0xfdda[1003]&& ((_0x6009x3d&& _0x6009x38)|| (/Opera/[_0xfdda[26]](_0x6009x41)&& /\b(?:MSIE|Firefox)\b/i[_0xfdda[26]](_0x6009x27))|| (_0x6009x41== _0xfdda[134]&& /\bOS X (?:\d+\.){2,}/[_0xfdda[26]](_0x6009x10))|| (_0x6009x41== _0xfdda[138]&& ((_0x6009x10&&  !/^Win/[_0xfdda[26]](_0x6009x10)&& _0x6009x3e> 5.5)|| /\bWindows XP\b/[_0xfdda[26]](_0x6009x10)&& _0x6009x3e> 8|| _0x6009x3e== 8&&  !/\bTrident\b/[_0xfdda[26]](_0x6009x27))))&&  !_0x6009x8[_0xfdda[26]]((_0x6009x13= _0x6009x26[_0xfdda[0]](_0x6009x1a,_0x6009x27[_0xfdda[30]](_0x6009x8,_0xfdda[35])+ _0xfdda[1141])))&& _0x6009x13[_0xfdda[1155]]){_0x6009x13= _0xfdda[1156]+ _0x6009x13[_0xfdda[1155]]+ ((_0x6009x13= _0x6009x13[_0xfdda[64]])?_0xfdda[1064]+ _0x6009x13:_0xfdda[35]);if(_0x6009x8[_0xfdda[26]](_0x6009x41)){if(/\bIE\b/[_0xfdda[26]](_0x6009x13)&& _0x6009x10== _0xfdda[39]){_0x6009x10= null};_0x6009x13= _0xfdda[1157]+ _0x6009x13}else {_0x6009x13= _0xfdda[1158]+ _0x6009x13;if(_0x6009x39){_0x6009x41= _0x6009x19(_0x6009x39[_0xfdda[30]](/([a-z])([A-Z])/g,_0xfdda[1067]))}else {_0x6009x41= _0xfdda[127]};if(/\bIE\b/[_0xfdda[26]](_0x6009x13)){_0x6009x10= null};if(!_0x6009x3d){_0x6009x3e= null}};_0x6009x40= [_0xfdda[72]];_0x6009x3b[_0xfdda[1077]](_0x6009x13)}}}}}}};if((_0x6009x13= (/\bAppleWebKit\/([\d.]+\+?)/i[_0xfdda[27]](_0x6009x27)|| 0)[1])){_0x6009x13= [parseFloat(_0x6009x13[_0xfdda[30]](/\.(\d)$/,_0xfdda[1159])),_0x6009x13];if(_0x6009x41== _0xfdda[141]&& _0x6009x13[1][_0xfdda[13]](-1) == _0xfdda[1160]){_0x6009x41= _0xfdda[1161];_0x6009x3c= _0xfdda[1144];_0x6009x3e= _0x6009x13[1][_0xfdda[13]](0,-1)}else {if(_0x6009x3e== _0x6009x13[1]|| _0x6009x3e== (_0x6009x13[2]= (/\bSafari\/([\d.]+\+?)/i[_0xfdda[27]](_0x6009x27)|| 0)[1])){_0x6009x3e= null}};_0x6009x13[1]= (/\b(?:Headless)?Chrome\/([\d.]+)/i[_0xfdda[27]](_0x6009x27)|| 0)[1];if(_0x6009x13[0]== 537.36&& _0x6009x13[2]== 537.36&& parseFloat(_0x6009x13[1])>= 28&& _0x6009x40== _0xfdda[69]){_0x6009x40= [_0xfdda[1094]]};if(!_0x6009x3d|| (!_0x6009x2d&&  !_0x6009x13[1])){_0x6009x40&& (_0x6009x40[1]= _0xfdda[1162]);_0x6009x13= (_0x6009x13= _0x6009x13[0],_0x6009x13< 400?1:_0x6009x13< 500?2:_0x6009x13< 526?3:_0x6009x13< 533?4:_0x6009x13< 534?_0xfdda[1163]:_0x6009x13< 535?5:_0x6009x13< 537?6:_0x6009x13< 538?7:_0x6009x13< 601?8:_0x6009x13< 602?9:_0x6009x13< 604?10:_0x6009x13< 606?11:_0x6009x13< 608?12:_0xfdda[1164])}else {_0x6009x40&& (_0x6009x40[1]= _0xfdda[1165]);_0x6009x13= _0x6009x13[1]|| (_0x6009x13= _0x6009x13[0],_0x6009x13< 530?1:_0x6009x13< 532?2:_0x6009x13< 532.05?3:_0x6009x13< 533?4:_0x6009x13< 534.03?5:_0x6009x13< 534.07?6:_0x6009x13< 534.10?7:_0x6009x13< 534.13?8:_0x6009x13< 534.16?9:_0x6009x13< 534.24?10:_0x6009x13< 534.30?11:_0x6009x13< 535.01?12:_0x6009x13< 535.02?_0xfdda[1166]:_0x6009x13< 535.07?15:_0x6009x13< 535.11?16:_0x6009x13< 535.19?17:_0x6009x13< 536.05?18:_0x6009x13< 536.10?19:_0x6009x13< 537.01?20:_0x6009x13< 537.11?_0xfdda[1167]:_0x6009x13< 537.13?23:_0x6009x13< 537.18?24:_0x6009x13< 537.24?25:_0x6009x13< 537.36?26:_0x6009x40!= _0xfdda[1094]?_0xfdda[1168]:_0xfdda[1169])};_0x6009x40&& (_0x6009x40[1]+= _0xfdda[1064]+ (_0x6009x13+=  typeof _0x6009x13== _0xfdda[43]?_0xfdda[1097]:/[.+]/[_0xfdda[26]](_0x6009x13)?_0xfdda[35]:_0xfdda[1160]));if(_0x6009x41== _0xfdda[141]&& (!_0x6009x3e|| parseInt(_0x6009x3e)> 45)){_0x6009x3e= _0x6009x13}else {if(_0x6009x41== _0xfdda[130]&& /\bHeadlessChrome/i[_0xfdda[26]](_0x6009x27)){_0x6009x3b[_0xfdda[1083]](_0xfdda[1170])}}};if(_0x6009x41== _0xfdda[127]&& (_0x6009x13= /\bzbov|zvav$/[_0xfdda[27]](_0x6009x10))){_0x6009x41+= _0xfdda[1064];_0x6009x3b[_0xfdda[1083]](_0xfdda[1082]);if(_0x6009x13== _0xfdda[1171]){_0x6009x41+= _0xfdda[1172];_0x6009x3e= null}else {_0x6009x41+= _0xfdda[1173]};_0x6009x10= _0x6009x10[_0xfdda[30]](RegExp(_0xfdda[1152]+ _0x6009x13+ _0xfdda[1174]),_0xfdda[35])}else {if(_0x6009x41== _0xfdda[141]&& /\bChrome\b/[_0xfdda[27]](_0x6009x40&& _0x6009x40[1])){_0x6009x3b[_0xfdda[1083]](_0xfdda[1082]);_0x6009x41= _0xfdda[132];_0x6009x3e= null;if(/\bOS X\b/[_0xfdda[26]](_0x6009x10)){_0x6009x43= _0xfdda[1022];_0x6009x10= _0xfdda[1175]}else {_0x6009x10= null}}else {if(/\bSRWare Iron\b/[_0xfdda[26]](_0x6009x41)&&  !_0x6009x3e){_0x6009x3e= _0x6009x4c(_0xfdda[130])}}};if(_0x6009x3e&& _0x6009x3e[_0xfdda[1088]]((_0x6009x13= /[\d.]+$/[_0xfdda[27]](_0x6009x10)))== 0&& _0x6009x27[_0xfdda[1088]](_0xfdda[1063]+ _0x6009x13+ _0xfdda[1176])>  -1){_0x6009x10= _0x6009x25(_0x6009x10[_0xfdda[30]](_0x6009x13,_0xfdda[35]))};if(_0x6009x10&& _0x6009x10[_0xfdda[1088]](_0x6009x41)!=  -1&&  !RegExp(_0x6009x41+ _0xfdda[38])[_0xfdda[26]](_0x6009x10)){_0x6009x10= _0x6009x10[_0xfdda[30]](RegExp(_0xfdda[1152]+ _0x6009x21(_0x6009x41)+ _0xfdda[1152]),_0xfdda[35])};if(_0x6009x40&&  !/\b(?:Avant|Nook)\b/[_0xfdda[26]](_0x6009x41)&& (/Browser|Lunascape|Maxthon/[_0xfdda[26]](_0x6009x41)|| _0x6009x41!= _0xfdda[141]&& /^iOS/[_0xfdda[26]](_0x6009x10)&& /\bSafari\b/[_0xfdda[26]](_0x6009x40[1])|| /^(?:Adobe|Arora|Breach|Midori|Opera|Phantom|Rekonq|Rock|Samsung Internet|Sleipnir|SRWare Iron|Vivaldi|Web)/[_0xfdda[26]](_0x6009x41)&& _0x6009x40[1])){(_0x6009x13= _0x6009x40[_0x6009x40[_0xfdda[42]]- 1])&& _0x6009x3b[_0xfdda[1077]](_0x6009x13)};if(_0x6009x3b[_0xfdda[42]]){_0x6009x3b= [_0xfdda[1065]+ _0x6009x3b[_0xfdda[1107]](_0xfdda[1177])+ _0xfdda[1178]]};if(_0x6009x43&& _0x6009x42&& _0x6009x42[_0xfdda[1088]](_0x6009x43)< 0){_0x6009x3b[_0xfdda[1077]](_0xfdda[1179]+ _0x6009x43)};if(_0x6009x42){_0x6009x3b[_0xfdda[1077]]((/^on /[_0xfdda[26]](_0x6009x3b[_0x6009x3b[_0xfdda[42]]- 1])?_0xfdda[35]:_0xfdda[1179])+ _0x6009x42)};if(_0x6009x10){_0x6009x13= / ([\d.+]+)$/[_0xfdda[27]](_0x6009x10);_0x6009x3f= _0x6009x13&& _0x6009x10[_0xfdda[12]](_0x6009x10[_0xfdda[42]]- _0x6009x13[0][_0xfdda[42]]- 1)== _0xfdda[1063];_0x6009x10= {'\x61\x72\x63\x68\x69\x74\x65\x63\x74\x75\x72\x65':32,'\x66\x61\x6D\x69\x6C\x79':(_0x6009x13&&  !_0x6009x3f)?_0x6009x10[_0xfdda[30]](_0x6009x13[0],_0xfdda[35]):_0x6009x10,'\x76\x65\x72\x73\x69\x6F\x6E':_0x6009x13?_0x6009x13[1]:null,'\x74\x6F\x53\x74\x72\x69\x6E\x67':function(){var _0x6009x3e=this[_0xfdda[64]];return this[_0xfdda[1180]]+ ((_0x6009x3e&&  !_0x6009x3f)?_0xfdda[1064]+ _0x6009x3e:_0xfdda[35])+ (this[_0xfdda[1181]]== 64?_0xfdda[1182]:_0xfdda[35])}}};if((_0x6009x13= /\b(?:AMD|IA|Win|WOW|x86_|x)64\b/i[_0xfdda[27]](_0x6009x3a))&&  !/\bi686\b/i[_0xfdda[26]](_0x6009x3a)){if(_0x6009x10){_0x6009x10[_0xfdda[1181]]= 64;_0x6009x10[_0xfdda[1180]]= _0x6009x10[_0xfdda[1180]][_0xfdda[30]](RegExp(_0xfdda[1152]+ _0x6009x13),_0xfdda[35])};if(_0x6009x41&& (/\bWOW64\b/i[_0xfdda[26]](_0x6009x27)|| (_0x6009x3d&& /\w(?:86|32)$/[_0xfdda[26]](_0x6009x2a[_0xfdda[1183]]|| _0x6009x2a[_0xfdda[1126]])&&  !/\bWin64; x64\b/i[_0xfdda[26]](_0x6009x27)))){_0x6009x3b[_0xfdda[1083]](_0xfdda[1184])}}else {if(_0x6009x10&& /^OS X/[_0xfdda[26]](_0x6009x10[_0xfdda[1180]])&& _0x6009x41== _0xfdda[130]&& parseFloat(_0x6009x3e)>= 39){_0x6009x10[_0xfdda[1181]]= 64}};_0x6009x27|| (_0x6009x27= null);var _0x6009x4f={};_0x6009x4f[_0xfdda[1071]]= _0x6009x27;_0x6009x4f[_0xfdda[1185]]= _0x6009x40&& _0x6009x40[0];_0x6009x4f[_0xfdda[1078]]= _0x6009x43;_0x6009x4f[_0xfdda[1155]]= _0x6009x41;_0x6009x4f[_0xfdda[1186]]= _0x6009x3c;_0x6009x4f[_0xfdda[1079]]= _0x6009x42;_0x6009x4f[_0xfdda[1187]]= _0x6009x27;_0x6009x4f[_0xfdda[64]]= _0x6009x41&& _0x6009x3e;_0x6009x4f[_0xfdda[1113]]= _0x6009x10|| {'\x61\x72\x63\x68\x69\x74\x65\x63\x74\x75\x72\x65':null,'\x66\x61\x6D\x69\x6C\x79':null,'\x76\x65\x72\x73\x69\x6F\x6E':null,'\x74\x6F\x53\x74\x72\x69\x6E\x67':function(){return _0xfdda[1188]}};_0x6009x4f[_0xfdda[1189]]= _0x6009x26;_0x6009x4f[_0xfdda[10]]= _0x6009x4e;if(_0x6009x4f[_0xfdda[64]]){_0x6009x3b[_0xfdda[1083]](_0x6009x3e)};if(_0x6009x4f[_0xfdda[1155]]){_0x6009x3b[_0xfdda[1083]](_0x6009x41)};if(_0x6009x10&& _0x6009x41&&  !(_0x6009x10== String(_0x6009x10)[_0xfdda[32]](_0xfdda[1064])[0]&& (_0x6009x10== _0x6009x41[_0xfdda[32]](_0xfdda[1064])[0]|| _0x6009x42))){_0x6009x3b[_0xfdda[1077]](_0x6009x42?_0xfdda[1065]+ _0x6009x10+ _0xfdda[1178]:_0xfdda[1179]+ _0x6009x10)};if(_0x6009x3b[_0xfdda[42]]){_0x6009x4f[_0xfdda[1071]]= _0x6009x3b[_0xfdda[1107]](_0xfdda[1064])};return _0x6009x4f}var _0x6009x4f=_0x6009x26();if( typeof define== _0xfdda[65]&&  typeof define[_0xfdda[1190]]== _0xfdda[3]&& define[_0xfdda[1190]]){_0x6009x2[_0xfdda[1126]]= _0x6009x4f;define(function(){return _0x6009x4f})}else {if(_0x6009x4&& _0x6009x5){_0x6009x1a(_0x6009x4f,function(_0x6009x1d,_0x6009x1b){_0x6009x4[_0x6009x1b]= _0x6009x1d})}else {_0x6009x2[_0xfdda[1126]]= _0x6009x4f}}}[_0xfdda[0]](this))
+(function () {
+  "use strict";
+  var objectTypes = {function: true, object: true};
+  var root = (objectTypes[typeof window] && window) || this || (objectTypes[typeof globalThis] && globalThis);
+  var oldRoot = root;
+  var freeExports = objectTypes[typeof exports] && exports;
+  var freeModule = objectTypes[typeof module] && module && !module.nodeType && module;
+  var freeGlobal = freeExports && freeModule && typeof global == "object" && global;
+  if (freeGlobal && (freeGlobal.global === freeGlobal || freeGlobal.window === freeGlobal || freeGlobal.self === freeGlobal)) {
+    root = freeGlobal;
+  }
+  var maxSafeInteger = Math.pow(2, 53) - 1;
+  var reOpera = /\bOpera/;
+  var reOSFamily = /^(?:android|centos|chrome os|debian|fedora|freebsd|haiku|ios|kaios|linux|os x|ubuntu|tizen|web ?os|windows(?: phone)?)$/i;
+  var thisBinding = this;
+  var objectProto = Object.prototype;
+  var hasOwnProperty = objectProto.hasOwnProperty;
+  var toString = objectProto.toString;
+  var customRules = {};
+  var deviceRules = {};
+  var matchers = {};
+  var parseCache = null;
+  var rules = {
+    browsers: [
+      {label: "Facebook App", pattern: "FB_IAB/FB4A;FBAV"},
+      {label: "Facebook App", pattern: "FBAN/FBIOS;FBDV"},
+      {label: "Instagram App", pattern: "Instagram"},
+      "Adobe AIR",
+      "Arora",
+      "Avant Browser",
+      "Breach",
+      "Camino",
+      "Electron",
+      "Epiphany",
+      "Fennec",
+      "Flock",
+      "Galeon",
+      "GreenBrowser",
+      "iCab",
+      "Iceweasel",
+      "K-Meleon",
+      "Konqueror",
+      "Lunascape",
+      "Maxthon",
+      {label: "Microsoft Edge", pattern: "(?:Edge|Edg|EdgA|EdgiOS)"},
+      "Midori",
+      "Nook Browser",
+      "PaleMoon",
+      "PhantomJS",
+      "Raven",
+      "Rekonq",
+      "RockMelt",
+      {label: "Samsung Internet", pattern: "SamsungBrowser"},
+      "SeaMonkey",
+      {label: "Silk", pattern: "(?:Cloud9|Silk-Accelerated)"},
+      "Sleipnir",
+      "SlimBrowser",
+      {label: "SRWare Iron", pattern: "Iron"},
+      "Sunrise",
+      "Swiftfox",
+      "Vivaldi",
+      "Waterfox",
+      "WebPositive",
+      {label: "Yandex Browser", pattern: "YaBrowser"},
+      {label: "UC Browser", pattern: "UCBrowser"},
+      "Opera Mini",
+      {label: "Opera Mini", pattern: "OPiOS"},
+      "Opera",
+      {label: "Opera", pattern: "OPR"},
+      "Chromium",
+      "Chrome",
+      {label: "Chrome", pattern: "(?:HeadlessChrome)"},
+      {label: "Chrome Mobile", pattern: "(?:CriOS|CrMo)"},
+      {label: "Firefox", pattern: "(?:Firefox|Minefield)"},
+      {label: "Firefox for iOS", pattern: "FxiOS"},
+      {label: "IE", pattern: "IEMobile"},
+      {label: "IE", pattern: "MSIE"},
+      "Safari"
+    ],
+    manufacturers: [
+      {label: "Apple", pattern: "iPhone"},
+      {label: "Apple", pattern: "iPad"},
+      {label: "Asus", pattern: "ASUS_"},
+      {label: "Google", pattern: "Pixel"},
+      {label: "Huawei", pattern: "HUAWEI"},
+      {label: "LG", pattern: "LM-[A-Z]\\d{3}"},
+      {label: "Motorola", pattern: "moto(?:rola)? "},
+      {label: "Nokia", pattern: "Nokia"},
+      {label: "OnePlus", pattern: "OnePlus"},
+      {label: "Realme", pattern: "RMX\\d{4}"},
+      {label: "Samsung", pattern: "SM-[A-Z]\\d{3}"},
+      {label: "Sony", pattern: "XQ-[A-Z]{2}\\d{2}"},
+      {label: "Vivo", pattern: "vivo \\d"},
+      {label: "Xiaomi", pattern: "(?:Redmi|POCO)"}
+    ],
+    os: [
+      "Windows Phone",
+      "KaiOS",
+      "Android",
+      "CentOS",
+      {label: "Chrome OS", pattern: "CrOS"},
+      "Debian",
+      {label: "DragonFly BSD", pattern: "DragonFly"},
+      "Fedora",
+      "FreeBSD",
+      "Gentoo",
+      "Haiku",
+      "Kubuntu",
+      "Linux Mint",
+      "OpenBSD",
+      "Red Hat",
+      "SuSE",
+      "Ubuntu",
+      "Xubuntu",
+      "Cygwin",
+      "Symbian OS",
+      "hpwOS",
+      "webOS ",
+      "webOS",
+      "Tablet OS",
+      "Tizen",
+      "Linux",
+      "Mac OS X",
+      "Macintosh",
+      "Mac",
+      "Windows 98;",
+      "Windows "
+    ],
+    products: [
+      {label: "BlackBerry", pattern: "BB10"},
+      "BlackBerry",
+      {label: "Galaxy S", pattern: "GT-I9000"},
+      {label: "Galaxy S2", pattern: "GT-I9100"},
+      {label: "Galaxy S3", pattern: "GT-I9300"},
+      {label: "Galaxy S4", pattern: "GT-I9500"},
+      {label: "Galaxy S5", pattern: "SM-G900"},
+      {label: "Galaxy S6", pattern: "SM-G920"},
+      {label: "Galaxy S7", pattern: "SM-G930"},
+      {label: "Galaxy S7 Edge", pattern: "SM-G935"},
+      "Google TV",
+      "Lumia",
+      "iPad",
+      "iPod",
+      "iPhone",
+      "Kindle",
+      {label: "Kindle Fire", pattern: "(?:Cloud9|Silk-Accelerated)"},
+      "Nexus",
+      "Nook",
+      "PlayBook",
+      "PlayStation Vita",
+      "PlayStation",
+      "TouchPad",
+      "Transformer",
+      {label: "Wii U", pattern: "WiiU"},
+      "Wii",
+      "Xbox One",
+      {label: "Xbox 360", pattern: "Xbox"},
+      "Xoom"
+    ]
+  };
+  var tables = {
+    bots: {
+      search: [
+        "Googlebot",
+        {label: "Google", pattern: "(?:AdsBot-Google(?:-Mobile)?|APIs-Google|Google-InspectionTool|GoogleOther|Mediapartners-Google|Storebot-Google)"},
+        {label: "Bingbot", pattern: "bingbot"},
+        {label: "Bing Preview", pattern: "BingPreview"},
+        {label: "Yahoo! Slurp", pattern: "Slurp"},
+        "DuckDuckBot",
+        "Baiduspider",
+        "YandexBot",
+        {label: "Sogou Spider", pattern: "Sogou web spider"},
+        "Applebot",
+        "PetalBot",
+        "SeznamBot",
+        "Qwantify",
+        "Exabot",
+        "AhrefsBot",
+        "SemrushBot",
+        "MJ12bot",
+        "DotBot",
+        "GPTBot",
+        "CCBot",
+        "ClaudeBot",
+        {label: "Internet Archive", pattern: "(?:ia_archiver|archive\\.org_bot)"}
+      ],
+      social: [
+        {label: "Facebook", pattern: "(?:facebookexternalhit|facebookcatalog)"},
+        "Twitterbot",
+        {label: "Slackbot", pattern: "Slackbot(?:-LinkExpanding)?"},
+        "LinkedInBot",
+        "Pinterestbot",
+        "Discordbot",
+        "TelegramBot",
+        {label: "WhatsApp", pattern: "WhatsApp(?=/)"},
+        {label: "Skype", pattern: "SkypeUriPreview"},
+        "redditbot",
+        "vkShare",
+        "Embedly",
+        "Iframely"
+      ],
+      monitor: [
+        "UptimeRobot",
+        {label: "Pingdom", pattern: "Pingdom(?:\\.com_bot_version_|TMS)?"},
+        "StatusCake",
+        "Site24x7",
+        "NewRelicPinger",
+        {label: "Datadog", pattern: "Datadog(?:Synthetics| Agent)"},
+        "Better Uptime Bot",
+        "Zabbix",
+        {label: "Nagios", pattern: "check_http"},
+        "GTmetrix",
+        {label: "Lighthouse", pattern: "Chrome-Lighthouse"}
+      ],
+      library: [
+        "curl",
+        "Wget",
+        {label: "Python Requests", pattern: "python-requests"},
+        {label: "Python urllib", pattern: "Python-urllib"},
+        {label: "aiohttp", pattern: "Python/[\\d.]+ aiohttp"},
+        "node-fetch",
+        "axios",
+        "undici",
+        {label: "Go HTTP Client", pattern: "Go-http-client"},
+        "okhttp",
+        {label: "Apache HttpClient", pattern: "Apache-HttpClient"},
+        {label: "Guzzle", pattern: "GuzzleHttp"},
+        "libwww-perl",
+        "Scrapy",
+        "HTTPie",
+        {label: "Postman", pattern: "PostmanRuntime"},
+        "insomnia"
+      ],
+      headless: [
+        {label: "Headless Chrome", pattern: "HeadlessChrome"},
+        "PhantomJS",
+        "SlimerJS",
+        "HtmlUnit",
+        "jsdom"
+      ]
+    },
+    deviceTypes: {
+      console: [
+        "Nintendo",
+        "PlayStation",
+        "Wii",
+        "Xbox"
+      ],
+      tv: [
+        "AppleTV",
+        {label: "Fire TV", pattern: "AFT[A-Z]\\w*"},
+        "BRAVIA",
+        {label: "Chromecast", pattern: "CrKey"},
+        "Google TV",
+        "HbbTV",
+        "NetCast",
+        "Roku",
+        {label: "Smart TV", pattern: "SMART-?TV"},
+        "TV",
+        "Web0S"
+      ],
+      wearable: [
+        {label: "Galaxy Watch", pattern: "SM-R\\d+"},
+        "Watch",
+        {label: "Wear OS", pattern: "Wear ?OS"}
+      ],
+      tablet: [
+        "Galaxy Tab",
+        "iPad",
+        "Kindle",
+        {label: "Kindle Fire", pattern: "(?:Silk|Cloud9)"},
+        {label: "Nexus", pattern: "Nexus (?:7|9|10)"},
+        "Nook",
+        {label: "Pixel", pattern: "Pixel (?:C|Tablet)"},
+        "PlayBook",
+        {label: "Samsung", pattern: "SM-[PTX]\\d{3}"},
+        "Tablet",
+        "TouchPad",
+        "Transformer",
+        "Xoom"
+      ],
+      mobile: [
+        "BB10",
+        "BlackBerry",
+        "iPhone",
+        "iPod",
+        "KaiOS",
+        {label: "Mobile", pattern: "Mobi\\w*"},
+        "Opera Mini",
+        "Symbian",
+        "Windows Phone"
+      ],
+      desktop: [
+        "CrOS",
+        "Macintosh",
+        "Mac OS X",
+        "Windows NT",
+        {label: "Windows", pattern: "Win(?:32|64|dows 9[58x])"},
+        "X11"
+      ]
+    },
+    hostApps: [
+      {label: "Facebook", pattern: "(?:FBAN|FBAV|FB_IAB)", version: "FBAV/([\\d.]+)"},
+      {label: "Instagram", pattern: "Instagram"},
+      {label: "TikTok", pattern: "(?:musical_ly|trill_|BytedanceWebview|TikTok)", version: "(?:app_version/|musical_ly_|trill_|TikTok[ /])(\\d+\\.[\\d.]+)"},
+      {label: "LINE", pattern: "Line/", version: "Line/([\\d.]+)"},
+      {label: "WeChat", pattern: "MicroMessenger"},
+      {label: "Telegram", pattern: "Telegram-Android"},
+      {label: "Snapchat", pattern: "Snapchat"},
+      {label: "Twitter", pattern: "(?:Twitter for (?:iPhone|iPad)|TwitterAndroid)", version: "Twitter for (?:iPhone|iPad)/([\\d.]+)"},
+      {label: "LinkedIn", pattern: "LinkedInApp", version: "LinkedInApp\\]?/([\\d.]+)"},
+      {label: "Pinterest", pattern: "Pinterest(?:/| for )(?:iOS|Android)", version: "Pinterest for (?:iOS|Android)/([\\d.]+)"}
+    ],
+    layouts: [
+      {label: "EdgeHTML", pattern: "Edge"},
+      "Trident",
+      {label: "WebKit", pattern: "AppleWebKit"},
+      "iCab",
+      "Presto",
+      "NetFront",
+      "Tasman",
+      "KHTML",
+      "Gecko"
+    ]
+  };
+  var windowsVersions = {
+    "10.0": "10",
+    "6.4": "10 Technical Preview",
+    "6.3": "8.1",
+    "6.2": "8",
+    "6.1": "Server 2008 R2 / 7",
+    "6.0": "Server 2008 / Vista",
+    "5.2": "Server 2003 / XP 64-bit",
+    "5.1": "XP",
+    "5.01": "2000 SP1",
+    "5.0": "2000",
+    "4.0": "NT",
+    "4.90": "ME"
+  };
+  function cache(size) {
+    parseCache = size > 0 && typeof Map == "function" ? {size: size, entries: new Map()} : null;
+  }
+  function capitalize(string) {
+    string = String(string);
+    return string.charAt(0).toUpperCase() + string.slice(1);
+  }
+  function cleanupOS(os, pattern, label) {
+    var data;
+    if (pattern && label && /^Win/i.test(os) && !/^Windows Phone /i.test(os) && (data = windowsVersions[/[\d.]+$/.exec(os)])) {
+      os = "Windows " + data;
+    }
+    os = String(os);
+    if (pattern && label) {
+      os = os.replace(RegExp(pattern, "i"), label);
+    }
+    os = format(os.replace(/ ce$/i, " CE").replace(/\bhpw/i, "web").replace(/\bMacintosh\b/, "Mac OS").replace(/_PowerPC\b/i, " OS").replace(/\b(OS X) [^ \d]+/i, "$1").replace(/\bMac (OS X)\b/, "$1").replace(/\/(\d)/, " $1").replace(/_/g, ".").replace(/(?: BePC|[ .]*fc[ \d.]+)$/i, "").replace(/\bx86\.64\b/gi, "x86_64").replace(/\b(Windows Phone) OS\b/, "$1").replace(/\b(Chrome OS \w+) [\d.]+\b/, "$1").split(" on ")[0]);
+    return os;
+  }
+  function compareVersions(a, b) {
+    var index = -1, length, result = 0;
+    a = getParts(a);
+    b = getParts(b);
+    length = Math.max(a.length, b.length);
+    while (!result && ++index < length) {
+      result = (a[index] || 0) - (b[index] || 0);
+    }
+    return result < 0 ? -1 : result > 0 ? 1 : 0;
+  }
+  function compile(guesses) {
+    var result = [];
+    forOwn(getClassOf(guesses) == "Array" ? {"": guesses} : guesses, function (value, category) {
+      each(value, function (guess) {
+        var pattern = guess.pattern || qualify(guess);
+        result.push({category: category || null, guess: guess, order: result.length, pattern: pattern, regexps: {}, token: getToken(pattern)});
+      });
+    });
+    return result;
+  }
+  function each(object, callback) {
+    var index = -1, length = object ? object.length : 0;
+    if (typeof length == "number" && length > -1 && length <= maxSafeInteger) {
+      while (++index < length) {
+        callback(object[index], index, object);
+      }
+    } else {
+      forOwn(object, callback);
+    }
+  }
+  function extend(options) {
+    forOwn(getRules(options), function (value, key) {
+      customRules[key] = value.concat(customRules[key] || []);
+    });
+    matchers = {};
+    parseCache && parseCache.entries.clear();
+  }
+  function format(string) {
+    string = trim(string);
+    return /^(?:webOS|i(?:OS|P))/.test(string) ? string : capitalize(string);
+  }
+  function forOwn(object, callback) {
+    for (var key in object) {
+      if (hasOwnProperty.call(object, key)) {
+        callback(object[key], key, object);
+      }
+    }
+  }
+  function getBrands(value) {
+    var data, result = [], reBrand = /"((?:[^"\\]|\\.)*)" *; *v *= *"((?:[^"\\]|\\.)*)"/g;
+    while ((data = reBrand.exec(value))) {
+      result.push({brand: data[1], version: data[2]});
+    }
+    return result;
+  }
+  function getClassOf(value) {
+    return value == null ? capitalize(value) : toString.call(value).slice(8, -1);
+  }
+  function getHeader(headers, name) {
+    var result = typeof headers.get == "function" ? headers.get(name) : null;
+    forOwn(headers, function (value, key) {
+      if (result == null && key.toLowerCase() == name.toLowerCase()) {
+        result = value;
+      }
+    });
+    return result == null ? null : String(result);
+  }
+  function getHints(hints) {
+    var isHeaders = typeof hints.get == "function";
+    var result = {};
+    forOwn(hints, function (value, key) {
+      isHeaders = isHeaders || /^Sec-CH-UA/i.test(key);
+    });
+    forOwn({
+      architecture: "-Arch",
+      bitness: "-Bitness",
+      brands: "",
+      fullVersionList: "-Full-Version-List",
+      model: "-Model",
+      platform: "-Platform",
+      platformVersion: "-Platform-Version",
+      uaFullVersion: "-Full-Version"
+    }, function (suffix, key) {
+      var value = isHeaders ? getHeader(hints, "Sec-CH-UA" + suffix) : hints[key];
+      if (value != null && /^(?:brands|fullVersionList)$/.test(key)) {
+        result[key] = [];
+        each(isHeaders ? getBrands(value) : value, function (guess) {
+          guess && typeof guess.brand == "string" && result[key].push(guess);
+        });
+        return;
+      }
+      if (isHeaders && value != null) {
+        value = trim(value).replace(/^"|"$/g, "");
+      }
+      result[key] = (value == null || value === "") ? null : value;
+    });
+    return result;
+  }
+  function getMatchers(key) {
+    var result = matchers[key];
+    if (!result) {
+      result = matchers[key] = {always: [], buckets: {}};
+      each(compile(hasOwnProperty.call(rules, key) ? [].concat(customRules[key] || [], deviceRules[key] || [], rules[key]) : tables[key]), function (matcher) {
+        var word = /^\w*/.exec(matcher.token)[0].slice(0, 2);
+        if (word) {
+          (result.buckets[word] || (result.buckets[word] = [])).push(matcher);
+        } else {
+          result.always.push(matcher);
+        }
+      });
+    }
+    return result;
+  }
+  function getOSVersion(os) {
+    var name = os.family + (os.version ? " " + os.version : ""), result = os.version || null;
+    if (/^Windows (?!Phone\b)/.test(name) && !/^\d{1,2}(?:\.|$)/.test(result)) {
+      forOwn(windowsVersions, function (label, version) {
+        if (name == "Windows " + label) {
+          result = version;
+        }
+      });
+    }
+    return result;
+  }
+  function isHostType(object, property) {
+    var type = object != null ? typeof object[property] : "number";
+    return !/^(?:boolean|number|string|undefined)$/.test(type) && (type == "object" ? !!object[property] : true);
+  }
+  function getParts(version) {
+    var result = [];
+    each((/^\d+(?:\.\d+)*/.exec(version) || [""])[0].split("."), function (value) {
+      value && result.push(+value);
+    });
+    return result;
+  }
+  function getRange(range) {
+    var result = [];
+    each(trim(String(range == null ? "*" : range).replace(/([<>]=?|[=^~])\s+/g, "$1")).split(/\s+/), function (value) {
+      var data = result && /^(?:([<>]=?|[=^~])?v?(\d+(?:\.\d+)*(?:\.[*x])*)|[*x]?)$/i.exec(value);
+      if (!data) {
+        result = null;
+      } else if (data[2]) {
+        result.push({operator: data[1] || "=", parts: getParts(data[2])});
+      }
+    });
+    return result;
+  }
+  function getRules(options) {
+    var result = {};
+    forOwn(options, function (value, key) {
+      if (hasOwnProperty.call(rules, key)) {
+        each(value = [].concat(value), function (guess) {
+          if (!(typeof guess == "string" ? guess : guess && typeof guess.label == "string" && typeof guess.pattern == "string" && guess.pattern)) {
+            throw new TypeError("Invalid " + key + " rule: " + JSON.stringify(guess));
+          }
+        });
+        each(compile(value), function (matcher) {
+          RegExp("\\b" + matcher.pattern, "i");
+        });
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+  function getToken(pattern) {
+    var token = /^[^\\^$.|?*+()[\]{}]*/.exec(pattern)[0];
+    if (/\|/.test(pattern) || /[^\x00-\x7f]/.test(token)) {
+      return "";
+    }
+    return (/^[?*{]/.test(pattern.slice(token.length)) ? token.slice(0, -1) : token).toLowerCase();
+  }
+  function getWords(string) {
+    var result = {};
+    each(String(string).match(/\w+/g), function (word) {
+      word = word.toLowerCase();
+      result[word.charAt(0)] = result[word.slice(0, 2)] = true;
+    });
+    return result;
+  }
+  function qualify(string) {
+    return String(string).replace(/([ -])(?!$)/g, "$1?");
+  }
+  function reduce(array, callback) {
+    var accumulator = null;
+    each(array, function (value, index) {
+      accumulator = callback(accumulator, value, index, array);
+    });
+    return accumulator;
+  }
+  function satisfies(version, range, prerelease) {
+    var comparators = getRange(range), parts = getParts(version), result = !!comparators;
+    each(comparators, function (comparator) {
+      var bound = comparator.parts, index = 0, operator = comparator.operator, order;
+      if (!result) {
+        return;
+      }
+      if (!parts.length) {
+        result = false;
+        return;
+      }
+      order = compareVersions(version, bound.join(".")) || (prerelease ? -1 : 0);
+      if (operator == "^" || operator == "~") {
+        if (operator == "~") {
+          index = bound.length > 1 ? 1 : 0;
+        } else {
+          while (index < bound.length - 1 && !bound[index]) {
+            index++;
+          }
+        }
+        result = order >= 0 && compareVersions(version, bound.slice(0, index).concat(bound[index] + 1).join(".")) < 0;
+      } else {
+        result = operator == ">=" ? order >= 0 : operator == ">" ? order > 0 : operator == "<=" ? order <= 0 : operator == "<" ? order < 0 : compareVersions(parts.slice(0, bound.length).join("."), bound.join(".")) == 0;
+      }
+    });
+    return result;
+  }
+  function setDevices(devices) {
+    deviceRules = getRules(devices);
+    matchers = {};
+    parseCache && parseCache.entries.clear();
+  }
+  function trim(string) {
+    return String(string).replace(/^ +| +$/g, "");
+  }
+  function parse(ua, hints) {
+    var context = root;
+    var isCustomContext = ua && typeof ua == "object" && getClassOf(ua) != "String";
+    if (isCustomContext) {
+      context = ua;
+      ua = null;
+    }
+    var nav = context.navigator || {};
+    var userAgent = nav.userAgent || "";
+    ua || (ua = userAgent);
+    var cacheKey = (parseCache && !isCustomContext && !hints && typeof ua == "string" && ua != userAgent) ? ua : null;
+    var cached = cacheKey != null && parseCache.entries.get(cacheKey);
+    if (cached) {
+      parseCache.entries.delete(cacheKey);
+      parseCache.entries.set(cacheKey, cached);
+      return cached;
+    }
+    var isModuleScope = isCustomContext || thisBinding == oldRoot;
+    var likeChrome = isCustomContext ? !!nav.likeChrome : /\bChrome\b/.test(ua) && !/internal|\n/i.test(toString.toString());
+    var objectClass = "Object", airRuntimeClass = isCustomContext ? objectClass : "ScriptBridgingProxyObject", enviroClass = isCustomContext ? objectClass : "Environment", javaClass = (isCustomContext && context.java) ? "JavaPackage" : getClassOf(context.java), phantomClass = isCustomContext ? objectClass : "RuntimeObject";
+    var java = /\bJava/.test(javaClass) && context.java;
+    var rhino = java && getClassOf(context.environment) == enviroClass;
+    var alpha = java ? "a" : "α";
+    var beta = java ? "b" : "β";
+    var doc = context.document || {};
+    var opera = context.operamini || context.opera;
+    var operaClass = reOpera.test(operaClass = (isCustomContext && opera) ? opera["[[Class]]"] : getClassOf(opera)) ? operaClass : (opera = null);
+    var data;
+    var arch = ua;
+    var description = [];
+    var lowerUA = String(ua).toLowerCase();
+    var words = getWords(ua);
+    var hinted = [];
+    var prerelease = null;
+    var useFeatures = ua == userAgent;
+    var version = useFeatures && opera && typeof opera.version == "function" && opera.version();
+    var isSpecialCasedOS;
+    var layout = getName(getCandidates("layouts"));
+    var name = getName(getCandidates("browsers"));
+    var product = getProduct(getCandidates("products"));
+    var manufacturer = getManufacturer({
+      Apple: {iPad: 1, iPhone: 1, iPod: 1},
+      Alcatel: {},
+      Archos: {},
+      Amazon: {Kindle: 1, "Kindle Fire": 1},
+      Asus: {Transformer: 1},
+      "Barnes & Noble": {Nook: 1},
+      BlackBerry: {PlayBook: 1},
+      Google: {"Google TV": 1, Nexus: 1, Pixel: 1},
+      HP: {TouchPad: 1},
+      HTC: {},
+      Huawei: {},
+      Lenovo: {},
+      LG: {},
+      Microsoft: {Xbox: 1, "Xbox One": 1},
+      Motorola: {Xoom: 1},
+      Nintendo: {"Wii U": 1, Wii: 1},
+      Nokia: {Lumia: 1},
+      Oppo: {},
+      Samsung: {"Galaxy S": 1, "Galaxy S2": 1, "Galaxy S3": 1, "Galaxy S4": 1},
+      Sony: {PlayStation: 1, "PlayStation Vita": 1},
+      Xiaomi: {Mi: 1, Redmi: 1}
+    });
+    var manufacturer = getLabel(getCandidates("manufacturers"));
+    var os = getOS(getCandidates("os"));
+    var bot = getBot(getCandidates("bots"));
+    var hostApp = getHostApp(getCandidates("hostApps"));
+    var webview = !!hostApp || /; wv\)/.test(ua) || (/\bAndroid\b/.test(ua) && /\bVersion\/[\d.]+ Chrome\//.test(ua)) || (/\b(?:iPad|iPhone|iPod)\b/.test(ua) && /\bAppleWebKit\b/.test(ua) && !/\bSafari\//.test(ua));
+    function getBot(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        return result || (getMatch(matcher, "\\b") && {
+          isBot: true,
+          category: matcher.category,
+          name: matcher.guess.label || matcher.guess,
+          version: (getMatch(matcher, "(?:[ /]v?)?([\\d.]+)") || 0)[1] || null
+        }) || null;
+      });
+    }
+    function getBrand(brands) {
+      return reduce(brands, function (result, guess) {
+        return result || (name && !/\bNot\W*A\W*Brand\b/i.test(guess.brand) && RegExp("^" + qualify(guess.brand.replace(/^Google /, "")) + "\\b", "i").test(name) && guess.version) || null;
+      });
+    }
+    function getCandidates(key, string) {
+      var table = getMatchers(key), result = table.always.slice();
+      forOwn(string == null ? words : getWords(string), function (value, word) {
+        hasOwnProperty.call(table.buckets, word) && result.push.apply(result, table.buckets[word]);
+      });
+      return result.sort(function (a, b) {
+        return a.order - b.order;
+      });
+    }
+    function getDeviceType(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        return result || (getMatch(matcher, "\\b", product + ";" + ua) && matcher.category) || null;
+      });
+    }
+    function getHostApp(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        var guess = matcher.guess, regexps = matcher.regexps;
+        return result || (getMatch(matcher, "") && {
+          name: guess.label,
+          version: ((guess.version ? (regexps.version || (regexps.version = RegExp("\\b" + guess.version, "i"))).exec(ua) : getMatch(matcher, "[ /]([\\d.]+)")) || 0)[1] || null
+        }) || null;
+      });
+    }
+    function getLabel(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        return result || getMatch(matcher, "") && (matcher.guess.label || matcher.guess);
+      });
+    }
+    function getManufacturer(guesses) {
+      return reduce(guesses, function (result, value, key) {
+        return result || (value[product] || value[/^[a-z]+(?: +[a-z]+\b)*/i.exec(product)] || RegExp("\\b" + qualify(key) + "(?:\\b|\\w*\\d)", "i").exec(ua)) && key;
+      });
+    }
+    function getMatch(matcher, suffix, string) {
+      var regexps = matcher.regexps;
+      string == null && (string = ua);
+      return (!matcher.token || (string == ua ? lowerUA : String(string).toLowerCase()).indexOf(matcher.token) > -1) ? (regexps[suffix] || (regexps[suffix] = RegExp("\\b" + matcher.pattern + suffix, "i"))).exec(string) : null;
+    }
+    function getName(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        return result || getMatch(matcher, "\\b") && (matcher.guess.label || matcher.guess);
+      });
+    }
+    function getOS(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        var guess = matcher.guess;
+        if (!result && (result = getMatch(matcher, "(?:/[\\d.]+|[ \\w.]*)"))) {
+          result = cleanupOS(result, matcher.pattern, guess.label || guess);
+        }
+        return result;
+      });
+    }
+    function getProduct(guesses) {
+      return reduce(guesses, function (result, matcher) {
+        var guess = matcher.guess, pattern = matcher.pattern;
+        if (!result && (result = getMatch(matcher, " *\\d+[.\\w_]*") || getMatch(matcher, " *\\w+-[\\w]*") || getMatch(matcher, "(?:; *(?:[a-z]+[_-])?[a-z]+\\d+|[^ ();-]*)"))) {
+          if ((result = String((guess.label && !RegExp(pattern, "i").test(guess.label)) ? guess.label : result).split("/"))[1] && !/[\d.]+/.test(result[0])) {
+            result[0] += " " + result[1];
+          }
+          guess = guess.label || guess;
+          result = format(result[0].replace(RegExp(pattern, "i"), guess).replace(RegExp("; *(?:" + guess + "[_-])?", "i"), " ").replace(RegExp("(" + guess + ")[-_.]?(\\w)", "i"), "$1 $2"));
+        }
+        return result;
+      });
+    }
+    function getVersion(patterns) {
+      return reduce(patterns, function (result, pattern) {
+        return result || (RegExp(pattern + "(?:-[\\d.]+/|(?: for [\\w-]+)?[ /-])([\\d.]+[^ ();/_-]*)", "i").exec(ua) || 0)[1] || null;
+      });
+    }
+    function satisfiesPlatform(query) {
+      var me = this, os = me.os || {}, browsers = null, systems = null, entries = [], isUnion = typeof query == "string" || getClassOf(query) == "Array", isValid = true;
+      if (isUnion) {
+        each(String(query).split(/\s*(?:,|\bor\b)\s*/i), function (value) {
+          var data = /^(.*?)\s*((?:(?:[<>]=?|[=^~])\s*)?v?[\d*][\s\S]*)?$/.exec(trim(value));
+          data[1] && entries.push([data[1], data[2]]);
+        });
+      } else {
+        forOwn(query, function (value, key) {
+          entries.push([key, value]);
+        });
+      }
+      each(entries, function (entry) {
+        var key = entry[0].toLowerCase().replace(/^mac ?os(?: ?x)?$/, "os x").replace(/^ipados$/, "ios");
+        var isOS = !!os.family && (key == os.family.toLowerCase() || key == os.family.replace(/^(Windows)(?! Phone\b)\b.*/, "$1").toLowerCase());
+        if (isOS || reOSFamily.test(key)) {
+          systems = systems || (isOS && satisfies(getOSVersion(os), entry[1]));
+        } else {
+          browsers = browsers || (!!me.name && key == me.name.toLowerCase() && satisfies(me.version, entry[1], me.prerelease));
+        }
+        isValid = isValid && !!getRange(entry[1]);
+      });
+      return isValid && (isUnion ? !!(browsers || systems) : (browsers != null || systems != null) && browsers !== false && systems !== false);
+    }
+    function toJSONPlatform() {
+      var me = this, os = me.os || {}, bot = me.bot || {};
+      return {
+        schema: 1,
+        ua: me.ua || null,
+        browser: {name: me.name || null, version: me.version || null},
+        engine: {name: me.layout || null, version: me.layoutVersion || null},
+        os: {family: os.family || null, version: os.version || null, architecture: os.architecture || null},
+        device: {type: me.deviceType || null, product: me.product || null, manufacturer: me.manufacturer || null, desktopMode: !!me.desktopMode},
+        prerelease: me.prerelease || null,
+        webview: !!me.webview,
+        hostApp: me.hostApp ? {name: me.hostApp.name, version: me.hostApp.version || null} : null,
+        bot: {isBot: !!bot.isBot, category: bot.category || null, name: bot.name || null, version: bot.version || null},
+        hints: [].concat(me.hints || [])
+      };
+    }
+    function toStringPlatform() {
+      return this.description || "";
+    }
+    layout && (layout = [layout]);
+    if (/\bAndroid\b/.test(os) && !product && (data = /\bAndroid[^;]*;(.*?)(?:Build|\) AppleWebKit)\b/i.exec(ua))) {
+      product = trim(data[1]).replace(/^[a-z]{2}-[a-z]{2};\s*/i, "") || null;
+    }
+    if (manufacturer && !product) {
+      product = getProduct(compile([manufacturer]));
+    } else {
+      if (manufacturer && product) {
+        product = product.replace(RegExp("^(" + qualify(manufacturer) + ")[-_.\\s]", "i"), manufacturer + " ").replace(RegExp("^(" + qualify(manufacturer) + ")[-_.]?(\\w)", "i"), manufacturer + " $2");
+      }
+    }
+    if ((data = /\bGoogle TV\b/.exec(product))) {
+      product = data[0];
+    }
+    if (/\bSimulator\b/i.test(ua)) {
+      product = (product ? product + " " : "") + "Simulator";
+    }
+    if (name == "Opera Mini" && /\bOPiOS\b/.test(ua)) {
+      description.push("running in Turbo/Uncompressed mode");
+    }
+    if (name == "IE" && /\blike iPhone OS\b/.test(ua)) {
+      data = parse(ua.replace(/like iPhone OS/, ""));
+      manufacturer = data.manufacturer;
+      product = data.product;
+    } else {
+      if (/^iP/.test(product)) {
+        name || (name = "Safari");
+        os = "iOS" + ((data = / OS ([\d_]+)/i.exec(ua)) ? " " + data[1].replace(/_/g, ".") : "");
+      } else {
+        if (name == "Konqueror" && /^Linux\b/i.test(os)) {
+          os = "Kubuntu";
+        } else {
+          if ((manufacturer && manufacturer != "Google" && ((/Chrome/.test(name) && !/\bMobile Safari\b/i.test(ua)) || /\bVita\b/.test(product))) || (/\bAndroid\b/.test(os) && /^Chrome/.test(name) && /\bVersion\//i.test(ua))) {
+            name = "Android Browser";
+            os = /\bAndroid\b/.test(os) ? os : "Android";
+          } else {
+            if (name == "Silk") {
+              if (!/\bMobi/i.test(ua)) {
+                os = "Android";
+                description.unshift("desktop mode");
+              }
+              if (/Accelerated *= *true/i.test(ua)) {
+                description.unshift("accelerated");
+              }
+            } else {
+              if (name == "UC Browser" && /\bUCWEB\b/.test(ua)) {
+                description.push("speed mode");
+              } else {
+                if (name == "PaleMoon" && (data = /\bFirefox\/([\d.]+)\b/.exec(ua))) {
+                  description.push("identifying as Firefox " + data[1]);
+                } else {
+                  if (name == "Firefox" && (data = /\b(Mobile|Tablet|TV)\b/i.exec(ua))) {
+                    os || (os = "Firefox OS");
+                    product || (product = data[1]);
+                  } else {
+                    if (!name || (data = !/\bMinefield\b/i.test(ua) && /\b(?:Firefox|Safari)\b/.exec(name))) {
+                      if (name && !product && /[\/,]|^[^(]+?\)/.test(ua.slice(ua.indexOf(data + "/") + 8))) {
+                        name = null;
+                      }
+                      if ((data = product || manufacturer || os) && (product || manufacturer || /\b(?:Android|Symbian OS|Tablet OS|webOS)\b/.test(os))) {
+                        name = /[a-z]+(?: Hat)?/i.exec(/\bAndroid\b/.test(os) ? os : data) + " Browser";
+                      }
+                    } else {
+                      if (name == "Electron" && (data = (/\bChrome\/([\d.]+)\b/.exec(ua) || 0)[1])) {
+                        description.push("Chromium " + data);
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    if (!version) {
+      version = getVersion([
+        "(?:Cloud9|CriOS|CrMo|Edge|Edg|EdgA|EdgiOS|FxiOS|HeadlessChrome|IEMobile|Iron|Opera ?Mini|OPiOS|OPR|Raven|SamsungBrowser|Silk(?!/[\\d.]+$)|UCBrowser|YaBrowser)",
+        "Version",
+        qualify(name),
+        "(?:Firefox|Minefield|NetFront)"
+      ]);
+    }
+    if ((data = layout == "iCab" && parseFloat(version) > 3 && "WebKit" || /\bOpera\b/.test(name) && (/\bOPR\b/.test(ua) ? "Blink" : "Presto") || /\b(?:Midori|Nook|Safari)\b/i.test(ua) && !/^(?:Trident|EdgeHTML)$/.test(layout) && "WebKit" || !layout && /\bMSIE\b/i.test(ua) && (os == "Mac OS" ? "Tasman" : "Trident") || layout == "WebKit" && /\bPlayStation\b(?! Vita\b)/i.test(name) && "NetFront")) {
+      layout = [data];
+    }
+    if (name == "IE" && (data = (/; *(?:XBLWP|ZuneWP)(\d+)/i.exec(ua) || 0)[1])) {
+      name += " Mobile";
+      os = "Windows Phone " + (/\+$/.test(data) ? data : data + ".x");
+      description.unshift("desktop mode");
+    } else {
+      if (/\bWPDesktop\b/i.test(ua)) {
+        name = "IE Mobile";
+        os = "Windows Phone 8.x";
+        description.unshift("desktop mode");
+        version || (version = (/\brv:([\d.]+)/.exec(ua) || 0)[1]);
+      } else {
+        if (name != "IE" && layout == "Trident" && (data = /\brv:([\d.]+)/.exec(ua))) {
+          if (name) {
+            description.push("identifying as " + name + (version ? " " + version : ""));
+          }
+          name = "IE";
+          version = data[1];
+        }
+      }
+    }
+    if (useFeatures) {
+      if ((data = context.Deno) && typeof data.version == "object") {
+        name = "Deno";
+        version = data.version.deno;
+        arch = data.build.arch;
+        os = data.build.os;
+      } else if ((data = context.Bun) && typeof data.version == "string") {
+        name = "Bun";
+        version = data.version;
+        if ((data = context.process)) {
+          arch = data.arch;
+          os = data.platform;
+        }
+      } else if (nav.product == "ReactNative") {
+        name = "React Native";
+        if ((data = context.HermesInternal) && typeof data.getRuntimeProperties == "function") {
+          data = String(data.getRuntimeProperties()["OSS Release Version"] || "");
+          version = (/\bfor RN ([\d.]+)/.exec(data) || 0)[1] || null;
+          description.push(version || !(data = /[\d.]+/.exec(data)) ? "Hermes" : "Hermes " + data[0]);
+        }
+      } else if (userAgent == "Cloudflare-Workers") {
+        name = "Cloudflare Workers";
+      } else if (typeof context.EdgeRuntime == "string") {
+        name = "Vercel Edge";
+      } else if ((data = /^(Dedicated|Service|Shared)WorkerGlobalScope$/.exec(getClassOf(context)))) {
+        description.push(data[1] == "Dedicated" ? "web worker" : data[1].toLowerCase() + " worker");
+      } else if (isHostType(context, "global")) {
+        if (java) {
+          data = java.lang.System;
+          arch = data.getProperty("os.arch");
+          os = os || data.getProperty("os.name") + " " + data.getProperty("os.version");
+        }
+        if (rhino) {
+          try {
+            version = context.require("ringo/engine").version.join(".");
+            name = "RingoJS";
+          } catch (e) {
+            if ((data = context.system) && data.global.system == context.system) {
+              name = "Narwhal";
+              os || (os = data[0].os || null);
+            }
+          }
+          if (!name) {
+            name = "Rhino";
+          }
+        } else {
+          if (typeof context.process == "object" && !context.process.browser && (data = context.process)) {
+            if (typeof data.versions == "object") {
+              if (typeof data.versions.electron == "string") {
+                description.push("Node " + data.versions.node);
+                name = "Electron";
+                version = data.versions.electron;
+              } else {
+                if (typeof data.versions.nw == "string") {
+                  description.push("Chromium " + version, "Node " + data.versions.node);
+                  name = "NW.js";
+                  version = data.versions.nw;
+                }
+              }
+            }
+            if (!name) {
+              name = "Node.js";
+              arch = data.arch;
+              os = data.platform;
+              version = /[\d.]+/.exec(data.version);
+              version = version ? version[0] : null;
+            }
+          }
+        }
+      } else {
+        if (getClassOf((data = context.runtime)) == airRuntimeClass) {
+          name = "Adobe AIR";
+          os = data.flash.system.Capabilities.os;
+        } else {
+          if (getClassOf((data = context.phantom)) == phantomClass) {
+            name = "PhantomJS";
+            version = (data = data.version || null) && (data.major + "." + data.minor + "." + data.patch);
+          } else {
+            if (typeof doc.documentMode == "number" && (data = /\bTrident\/(\d+)/i.exec(ua))) {
+              version = [version, doc.documentMode];
+              if ((data = +data[1] + 4) != version[1]) {
+                description.push("IE " + version[1] + " mode");
+                layout && (layout[1] = "");
+                version[1] = data;
+              }
+              version = name == "IE" ? String(version[1].toFixed(1)) : version[0];
+            } else {
+              if (typeof doc.documentMode == "number" && /^(?:Chrome|Firefox)\b/.test(name)) {
+                description.push("masking as " + name + " " + version);
+                name = "IE";
+                version = "11.0";
+                layout = ["Trident"];
+                os = "Windows";
+              }
+            }
+          }
+        }
+      }
+      os = os && format(os);
+    }
+    if (version && (data = /(?:[ab]|dp|pre|[ab]\d+pre)(?:\d+\+?)?$/i.exec(version) || /(?:alpha|beta)(?: ?\d)?/i.exec(ua + ";" + (useFeatures && nav.appMinorVersion)) || /\bMinefield\b/i.test(ua) && "a")) {
+      prerelease = /b/i.test(data) ? "beta" : "alpha";
+      version = version.replace(RegExp(data + "\\+?$"), "") + (prerelease == "beta" ? beta : alpha) + (/\d+\+?/.exec(data) || "");
+    }
+    if (name == "Fennec" || name == "Firefox" && /\b(?:Android|Firefox OS|KaiOS)\b/.test(os)) {
+      name = "Firefox Mobile";
+    } else {
+      if (name == "Maxthon" && version) {
+        version = version.replace(/\.[\d.]+/, ".x");
+      } else {
+        if (/\bXbox\b/i.test(product)) {
+          if (product == "Xbox 360") {
+            os = null;
+          }
+          if (product == "Xbox 360" && /\bIEMobile\b/.test(ua)) {
+            description.unshift("mobile mode");
+          }
+        } else {
+          if ((/^(?:Chrome|IE|Opera)$/.test(name) || name && !product && !/Browser|Mobi/.test(name)) && (os == "Windows CE" || /Mobi/i.test(ua))) {
+            name += " Mobile";
+          } else {
+            if (name == "IE" && useFeatures) {
+              try {
+                if (context.external === null) {
+                  description.unshift("platform preview");
+                }
+              } catch (e) {
+                description.unshift("embedded");
+              }
+            } else {
+              if ((/\bBlackBerry\b/.test(product) || /\bBB10\b/.test(ua)) && (data = (RegExp(product.replace(/ +/g, " *") + "/([.\\d]+)", "i").exec(ua) || 0)[1] || version)) {
+                data = [data, /BB10/.test(ua)];
+                os = (data[1] ? (product = null, manufacturer = "BlackBerry") : "Device Software") + " " + data[0];
+                version = null;
+              } else {
+                if (this != forOwn && product != "Wii" && ((useFeatures && opera) || (/Opera/.test(name) && /\b(?:MSIE|Firefox)\b/i.test(ua)) || (name == "Firefox" && /\bOS X (?:\d+\.){2,}/.test(os)) || (name == "IE" && ((os && !/^Win/.test(os) && version > 5.5) || /\bWindows XP\b/.test(os) && version > 8 || version == 8 && !/\bTrident\b/.test(ua)))) && !reOpera.test((data = parse.call(forOwn, ua.replace(reOpera, "") + ";"))) && data.name) {
+                  data = "ing as " + data.name + ((data = data.version) ? " " + data : "");
+                  if (reOpera.test(name)) {
+                    if (/\bIE\b/.test(data) && os == "Mac OS") {
+                      os = null;
+                    }
+                    data = "identify" + data;
+                  } else {
+                    data = "mask" + data;
+                    if (operaClass) {
+                      name = format(operaClass.replace(/([a-z])([A-Z])/g, "$1 $2"));
+                    } else {
+                      name = "Opera";
+                    }
+                    if (/\bIE\b/.test(data)) {
+                      os = null;
+                    }
+                    if (!useFeatures) {
+                      version = null;
+                    }
+                  }
+                  layout = ["Presto"];
+                  description.push(data);
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    if ((data = (/\bAppleWebKit\/([\d.]+\+?)/i.exec(ua) || 0)[1])) {
+      data = [parseFloat(data.replace(/\.(\d)$/, ".0$1")), data];
+      if (name == "Safari" && data[1].slice(-1) == "+") {
+        name = "WebKit Nightly";
+        prerelease = "alpha";
+        version = data[1].slice(0, -1);
+      } else {
+        if (version == data[1] || version == (data[2] = (/\bSafari\/([\d.]+\+?)/i.exec(ua) || 0)[1])) {
+          version = null;
+        }
+      }
+      data[1] = (/\b(?:Headless)?Chrome\/([\d.]+)/i.exec(ua) || 0)[1];
+      if (data[0] == 537.36 && data[2] == 537.36 && parseFloat(data[1]) >= 28 && layout == "WebKit") {
+        layout = ["Blink"];
+      }
+      if (!useFeatures || (!likeChrome && !data[1])) {
+        layout && (layout[1] = "like Safari");
+        data = (data = data[0], data < 400 ? 1 : data < 500 ? 2 : data < 526 ? 3 : data < 533 ? 4 : data < 534 ? "4+" : data < 535 ? 5 : data < 537 ? 6 : data < 538 ? 7 : data < 601 ? 8 : data < 602 ? 9 : data < 604 ? 10 : data < 606 ? 11 : data < 608 ? 12 : "12");
+      } else {
+        layout && (layout[1] = "like Chrome");
+        data = data[1] || (data = data[0], data < 530 ? 1 : data < 532 ? 2 : data < 532.05 ? 3 : data < 533 ? 4 : data < 534.03 ? 5 : data < 534.07 ? 6 : data < 534.10 ? 7 : data < 534.13 ? 8 : data < 534.16 ? 9 : data < 534.24 ? 10 : data < 534.30 ? 11 : data < 535.01 ? 12 : data < 535.02 ? "13+" : data < 535.07 ? 15 : data < 535.11 ? 16 : data < 535.19 ? 17 : data < 536.05 ? 18 : data < 536.10 ? 19 : data < 537.01 ? 20 : data < 537.11 ? "21+" : data < 537.13 ? 23 : data < 537.18 ? 24 : data < 537.24 ? 25 : data < 537.36 ? 26 : layout != "Blink" ? "27" : "28");
+      }
+      layout && (layout[1] += " " + (data += typeof data == "number" ? ".x" : /[.+]/.test(data) ? "" : "+"));
+      if (name == "Safari" && (!version || parseInt(version) > 45)) {
+        version = data;
+      } else {
+        if (name == "Chrome" && /\bHeadlessChrome/i.test(ua)) {
+          description.unshift("headless");
+        }
+      }
+    }
+    if (name == "Opera" && (data = /\bzbov|zvav$/.exec(os))) {
+      name += " ";
+      description.unshift("desktop mode");
+      if (data == "zvav") {
+        name += "Mini";
+        version = null;
+      } else {
+        name += "Mobile";
+      }
+      os = os.replace(RegExp(" *" + data + "$"), "");
+    } else {
+      if (name == "Safari" && /\bChrome\b/.exec(layout && layout[1])) {
+        description.unshift("desktop mode");
+        name = "Chrome Mobile";
+        version = null;
+        if (/\bOS X\b/.test(os)) {
+          manufacturer = "Apple";
+          os = "iOS 4.3+";
+        } else {
+          os = null;
+        }
+      } else {
+        if (/\bSRWare Iron\b/.test(name) && !version) {
+          version = getVersion("Chrome");
+        }
+      }
+    }
+    if (version && version.indexOf((data = /[\d.]+$/.exec(os))) == 0 && ua.indexOf("/" + data + "-") > -1) {
+      os = trim(os.replace(data, ""));
+    }
+    if (os && os.indexOf(name) != -1 && !RegExp(name + " OS").test(os)) {
+      os = os.replace(RegExp(" *" + qualify(name) + " *"), "");
+    }
+    if (useFeatures && nav.maxTouchPoints > 1 && /\bMacintosh\b/.test(ua) && !product) {
+      description.unshift("desktop mode");
+      manufacturer = "Apple";
+      product = "iPad";
+      os = "iOS" + ((data = /\bVersion\/([\d.]+)/.exec(ua)) ? " " + data[1] : "");
+    }
+    if (hints && typeof hints == "object" && (hints = getHints(hints))) {
+      if ((data = getBrand(hints.fullVersionList) || (getBrand(hints.brands) && hints.uaFullVersion) || getBrand(hints.brands)) && (/\./.test(data) || parseInt(data) != parseInt(version)) && data != version) {
+        version = data;
+        hinted.push("version");
+      }
+      if ((data = hints.platform) && !/^Unknown$/i.test(data)) {
+        data = [data.replace(/^mac ?OS\b.*/i, "OS X").replace(/^Chrome ?OS\b.*/i, "Chrome OS"), hints.platformVersion];
+        if (data[0] == "Windows" && data[1]) {
+          data[1] = {"0.1": "7", "0.2": "8", "0.3": "8.1"}[/^\d+\.\d+/.exec(data[1])] || (parseInt(data[1]) >= 13 ? "11" : parseInt(data[1]) > 0 ? "10" : null);
+        } else {
+          data[1] = data[1] && String(data[1]).replace(/(?:\.0+)+$/, "");
+        }
+        if (data[1] || !RegExp("^" + qualify(data[0]) + "\\b", "i").test(os)) {
+          os = data[0] + (data[1] ? " " + data[1] : "");
+          hinted.push("os");
+        }
+      }
+      if (hints.model) {
+        data = parse("Android; " + hints.model + " Build");
+        product = data.product || hints.model;
+        hinted.push("product");
+        if (data.manufacturer) {
+          manufacturer = data.manufacturer;
+          hinted.push("manufacturer");
+        }
+      }
+    }
+    if (layout && !/\b(?:Avant|Nook)\b/.test(name) && (/Browser|Lunascape|Maxthon/.test(name) || name != "Safari" && /^iOS/.test(os) && /\bSafari\b/.test(layout[1]) || /^(?:Adobe|Arora|Breach|Midori|Opera|Phantom|Rekonq|Rock|Samsung Internet|Sleipnir|SRWare Iron|Vivaldi|Web)/.test(name) && layout[1])) {
+      (data = layout[layout.length - 1]) && description.push(data);
+    }
+    var desktopMode = description.indexOf("desktop mode") > -1;
+    if (description.length) {
+      description = ["(" + description.join("; ") + ")"];
+    }
+    if (manufacturer && product && product.indexOf(manufacturer) < 0) {
+      description.push("on " + manufacturer);
+    }
+    if (product) {
+      description.push((/^on /.test(description[description.length - 1]) ? "" : "on ") + product);
+    }
+    if (os) {
+      data = / ([\d.+]+)$/.exec(os);
+      isSpecialCasedOS = data && os.charAt(os.length - data[0].length - 1) == "/";
+      os = {
+        architecture: 32,
+        family: (data && !isSpecialCasedOS) ? os.replace(data[0], "") : os,
+        version: data ? data[1] : null,
+        toString: function () {
+          var version = this.version;
+          return this.family + ((version && !isSpecialCasedOS) ? " " + version : "") + (this.architecture == 64 ? " 64-bit" : "");
+        }
+      };
+    }
+    if ((data = /\b(?:AMD|IA|Win|WOW|x86_|x|ARM|aarch)64\b/i.exec(arch)) && !/\bi686\b/i.test(arch)) {
+      if (os) {
+        os.architecture = 64;
+        os.family = os.family.replace(RegExp(" *" + data), "");
+      }
+      if (name && (/\bWOW64\b/i.test(ua) || (useFeatures && /\w(?:86|32)$/.test(nav.cpuClass || nav.platform) && !/\bWin64; x64\b/i.test(ua)))) {
+        description.unshift("32-bit");
+      }
+    } else {
+      if (os && /^OS X/.test(os.family) && name == "Chrome" && parseFloat(version) >= 39) {
+        os.architecture = 64;
+      }
+    }
+    if (hints && hints.bitness && os && os.architecture != (data = hints.bitness == 64 ? 64 : 32)) {
+      os.architecture = data;
+      hinted.indexOf("os") < 0 && hinted.push("os");
+    }
+    if (!bot && useFeatures && nav.webdriver === true) {
+      bot = {isBot: true, category: "headless", name: "WebDriver", version: null};
+    } else {
+      if (!bot && (data = /\b([\w-]*(?:[Bb]ot|[Cc]rawler|[Ss]pider))\b(?:[ \/]v?([\d.]+))?/.exec(ua)) && (data.index == 0 || /\bcompatible;|\+https?:\/\//i.test(ua))) {
+        bot = {isBot: true, category: "other", name: data[1], version: data[2] || null};
+      }
+    }
+    bot || (bot = {isBot: false, category: null, name: null, version: null});
+    var deviceType = getDeviceType(getCandidates("deviceTypes", product + ";" + ua));
+    if (!deviceType && /^(?:(?!Android)[^(])*\([^)]*\bAndroid\b/i.test(ua) && !/\b(?:Mobi|Opera Mini)/i.test(ua)) {
+      deviceType = "tablet";
+    }
+    data = {
+      Blink: "(?:Headless)?Chrome/",
+      EdgeHTML: "Edge/",
+      Gecko: "rv:",
+      KHTML: "KHTML/",
+      NetFront: "NetFront/",
+      Presto: "Presto/",
+      Trident: "Trident/",
+      WebKit: "AppleWebKit/"
+    }[layout && layout[0]];
+    var layoutVersion = (data && (RegExp("\\b" + data + "([\\d.]+\\+?)", "i").exec(ua) || 0)[1]) || null;
+    if (data == "rv:" && layoutVersion == "109.0" && (data = /\bFirefox\/([\d.]+)/.exec(ua)) && parseFloat(data[1]) > 109) {
+      layoutVersion = data[1];
+    }
+    ua || (ua = null);
+    var platform = {};
+    platform.bot = bot;
+    platform.description = ua;
+    platform.desktopMode = desktopMode;
+    platform.deviceType = deviceType;
+    platform.hints = hinted;
+    platform.hostApp = hostApp;
+    platform.layout = layout && layout[0];
+    platform.layoutVersion = layoutVersion;
+    platform.manufacturer = manufacturer;
+    platform.name = name;
+    platform.prerelease = prerelease;
+    platform.product = product;
+    platform.ua = ua;
+    platform.version = name && version;
+    platform.webview = webview;
+    platform.os = os || {
+      architecture: null,
+      family: null,
+      version: null,
+      toString: function () {
+        return "null";
+      }
+    };
+    platform.cache = cache;
+    platform.extend = extend;
+    platform.parse = parse;
+    platform.toJSON = toJSONPlatform;
+    platform.toString = toStringPlatform;
+    platform.satisfies = satisfiesPlatform;
+    platform.setDevices = setDevices;
+    each(["major", "minor", "patch"], function (key, index) {
+      each([platform, platform.os], function (object) {
+        var value = getParts(object.version)[index];
+        object[key] = value == null ? null : value;
+      });
+    });
+    if (platform.version) {
+      description.unshift(version);
+    }
+    if (platform.name) {
+      description.unshift(name);
+    }
+    if (os && name && !(os == String(os).split(" ")[0] && (os == name.split(" ")[0] || product))) {
+      description.push(product ? "(" + os + ")" : "on " + os);
+    }
+    if (description.length) {
+      platform.description = description.join(" ");
+    }
+    if (cacheKey != null) {
+      parseCache.entries.set(cacheKey, platform);
+      parseCache.entries.size > parseCache.size && parseCache.entries.delete(parseCache.entries.keys().next().value);
+    }
+    return platform;
+  }
+  var platform = parse();
+  if (typeof define == "function" && typeof define.amd == "object" && define.amd) {
+    root.platform = platform;
+    define(function () {
+      return platform;
+    });
+  } else {
+    if (freeExports && freeModule) {
+      forOwn(platform, function (value, key) {
+        freeExports[key] = value;
+      });
+      try {
+        setDevices(require("./platform.devices"));
+      } catch (error) {
+        if (error.code != "MODULE_NOT_FOUND") {
+          throw error;
+        }
+      }
+    } else {
+      root.platform = platform;
+    }
+  }
+}.call(this));
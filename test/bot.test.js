@@ -0,0 +1,31 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+test("classifies known crawlers by category", function () {
+  assert.deepEqual(platform.parse("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)").bot, {isBot: true, category: "search", name: "Googlebot", version: "2.1"});
+  assert.deepEqual(platform.parse("facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)").bot, {isBot: true, category: "social", name: "Facebook", version: "1.1"});
+  assert.deepEqual(platform.parse("Pingdom.com_bot_version_1.4_(http://www.pingdom.com/)").bot, {isBot: true, category: "monitor", name: "Pingdom", version: "1.4"});
+  assert.deepEqual(platform.parse("curl/8.0.1").bot, {isBot: true, category: "library", name: "curl", version: "8.0.1"});
+  assert.equal(platform.parse("Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36").bot.category, "headless");
+});
+
+test("falls back to other for unlisted bots in a bot-like context", function () {
+  assert.deepEqual(platform.parse("Mozilla/5.0 (compatible; FooBot/3.2; +https://foo.example/bot)").bot, {isBot: true, category: "other", name: "FooBot", version: "3.2"});
+  assert.deepEqual(platform.parse("ExampleCrawler/1.0").bot, {isBot: true, category: "other", name: "ExampleCrawler", version: "1.0"});
+});
+
+test("does not flag phones whose model name ends in bot", function () {
+  var result = platform.parse("Mozilla/5.0 (Linux; Android 10; Cubot X30) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Mobile Safari/537.36");
+  assert.deepEqual(result.bot, {isBot: false, category: null, name: null, version: null});
+});
+
+test("reports browsers as not bots", function () {
+  assert.equal(platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36").bot.isBot, false);
+});
+
+test("flags WebDriver-controlled environments as headless", function () {
+  var result = platform.parse({navigator: {userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36", webdriver: true}});
+  assert.deepEqual(result.bot, {isBot: true, category: "headless", name: "WebDriver", version: null});
+});
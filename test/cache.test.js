@@ -0,0 +1,54 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var chrome = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+var firefox = "Mozilla/5.0 (X11; Linux x86_64; rv:109.0) Gecko/20100101 Firefox/115.0";
+var safari = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15";
+
+function android(model) {
+  return "Mozilla/5.0 (Linux; Android 12; " + model + ") AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Mobile Safari/537.36";
+}
+
+test("returns cached results only while the cache is on", function () {
+  assert.notEqual(platform.parse(chrome), platform.parse(chrome));
+  platform.cache(10);
+  assert.equal(platform.parse(chrome), platform.parse(chrome));
+  assert.notEqual(platform.parse(chrome, {platform: "Windows"}), platform.parse(chrome));
+  platform.cache(0);
+  assert.notEqual(platform.parse(chrome), platform.parse(chrome));
+});
+
+test("evicts the least recently used result", function () {
+  platform.cache(2);
+  var first = platform.parse(chrome);
+  var second = platform.parse(firefox);
+  assert.equal(platform.parse(chrome), first);
+  platform.parse(safari);
+  assert.equal(platform.parse(chrome), first);
+  assert.notEqual(platform.parse(firefox), second);
+  platform.cache(0);
+});
+
+test("empties the cache when the rules change", function () {
+  platform.cache(10);
+  var ua = "Mozilla/5.0 (X11; Linux x86_64) Kestrel/2.0";
+  assert.equal(platform.parse(ua).name, null);
+  platform.extend({browsers: ["Kestrel"]});
+  assert.equal(platform.parse(ua).name, "Kestrel");
+  platform.cache(0);
+});
+
+test("finds rules by any word of the User-Agent", function () {
+  assert.equal(platform.parse(android("SM-G991B")).product, "Samsung Galaxy S21 5G");
+  assert.equal(platform.parse(android("en-us; SM-G991B Build/SP1A")).product, "Samsung Galaxy S21 5G");
+  assert.equal(platform.parse(android("Redmi 9A")).manufacturer, "Xiaomi");
+  assert.equal(platform.parse(android("POCO F5")).manufacturer, "Xiaomi");
+  assert.equal(platform.parse(chrome.replace("Chrome/", "Edg/120.0.0.0 Chrome/")).name, "Microsoft Edge");
+});
+
+test("keeps table order across index buckets", function () {
+  platform.extend({products: [{label: "Phone X", pattern: "Xphone"}, {label: "Phone A", pattern: "Aphone"}]});
+  assert.equal(platform.parse(android("Aphone 1 Xphone 2")).product, "Phone X");
+});
@@ -0,0 +1,58 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var childProcess = require("child_process");
+var path = require("path");
+
+var root = path.join(__dirname, "..");
+var chrome = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/86.0.4240.198 Safari/537.36";
+
+function run(args, input) {
+  return childProcess.spawnSync(process.execPath, [path.join("bin", "platform-parse")].concat(args), {cwd: root, encoding: "utf8", input: input || ""});
+}
+
+test("writes one JSON row per line", function () {
+  var result = run([], "Win10 x Chr 86 [Desktop]: " + chrome + "\n\n# comment\n");
+  var rows = result.stdout.trim().split("\n").map(JSON.parse);
+  assert.equal(result.status, 0);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].line, 1);
+  assert.equal(rows[0].label, "Win10 x Chr 86");
+  assert.equal(rows[0].group, "Desktop");
+  assert.equal(rows[0].browser.name, "Chrome");
+  assert.equal(rows[0].bot.isBot, false);
+});
+
+test("writes CSV with a header row", function () {
+  var lines = run(["--format=csv"], chrome + "\n").stdout.trim().split("\n");
+  var header = lines[0].split(","), row = lines[1].split(",").slice(0, header.length - 1);
+  assert.equal(header[header.length - 1], "ua");
+  assert.ok(lines[1].endsWith(",\"" + chrome + "\""));
+  assert.equal(row[header.indexOf("browser")], "Chrome");
+  assert.equal(row[header.indexOf("os")], "Windows");
+  assert.equal(row[header.indexOf("isBot")], "false");
+});
+
+test("reads the User-Agent from access log lines", function () {
+  var log = "203.0.113.7 - - [10/Oct/2023:13:55:36 +0000] \"GET / HTTP/1.1\" 200 2326 \"-\" \"" + chrome + "\"\n" +
+    "203.0.113.7 - - [10/Oct/2023:13:55:36 +0000] \"GET / HTTP/1.1\" 200 2326\n";
+  var summary = JSON.parse(run(["--summary"], log).stdout);
+  assert.equal(summary.lines, 1);
+  assert.equal(summary.skipped, 1);
+  assert.deepEqual(summary.browser, {Chrome: 1});
+});
+
+test("reports labels that disagree with the result", function () {
+  var result = run(["--check", "user-agents.txt"]);
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /^user-agents\.txt:40: Win10 Chr 86\.198: architecture expected 32, got 64$/m);
+  assert.equal(result.stdout.trim().split("\n").length, 1);
+  assert.match(result.stderr, /1 of 40 labelled lines disagree/);
+  assert.equal(run(["--check"], "Win10 x Chr 86.198 [Desktop]: " + chrome + "\n").status, 0);
+});
+
+test("rejects unknown options", function () {
+  var result = run(["--frobnicate"]);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /unknown option: --frobnicate/);
+});
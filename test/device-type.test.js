@@ -0,0 +1,40 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var iPadDesktop = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15";
+
+test("classifies form factors", function () {
+  assert.equal(platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36").deviceType, "desktop");
+  assert.equal(platform.parse("Mozilla/5.0 (iPhone; CPU iPhone OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.5 Mobile/15E148 Safari/604.1").deviceType, "mobile");
+  assert.equal(platform.parse("Mozilla/5.0 (iPad; CPU OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.5 Mobile/15E148 Safari/604.1").deviceType, "tablet");
+  assert.equal(platform.parse("Mozilla/5.0 (Linux; Android 12; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36").deviceType, "tablet");
+  assert.equal(platform.parse("Mozilla/5.0 (Linux; Android 12; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Mobile Safari/537.36").deviceType, "mobile");
+  assert.equal(platform.parse("Mozilla/5.0 (PlayStation 4 3.11) AppleWebKit/537.73 (KHTML, like Gecko)").deviceType, "console");
+  assert.equal(platform.parse("Mozilla/5.0 (Linux; Android 9; AFTMM Build/PS7233) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Mobile Safari/537.36").deviceType, "tv");
+});
+
+test("reports an iPad in desktop mode as a tablet", function () {
+  var result = platform.parse({navigator: {userAgent: iPadDesktop, maxTouchPoints: 5}});
+  assert.equal(result.desktopMode, true);
+  assert.equal(result.deviceType, "tablet");
+  assert.equal(result.product, "iPad");
+  assert.equal(result.manufacturer, "Apple");
+  assert.equal(result.os.family, "iOS");
+  assert.equal(result.os.version, "17.1");
+  assert.equal(result.toJSON().device.desktopMode, true);
+});
+
+test("keeps a Mac without touch support on the desktop", function () {
+  var result = platform.parse({navigator: {userAgent: iPadDesktop, maxTouchPoints: 0}});
+  assert.equal(result.desktopMode, false);
+  assert.equal(result.deviceType, "desktop");
+  assert.equal(result.os.family, "OS X");
+});
+
+test("ignores the Android tokens that in-app browsers append", function () {
+  assert.equal(platform.parse("Mozilla/5.0 (Linux; Android 12; Pixel 6 Build/SQ3A.220705.004; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/107.0.5304.105 Mobile Safari/537.36 Instagram 264.0.0.22.106 Android (31/12; 420dpi; 1080x2205; Google/google; Pixel 6; oriole; oriole; en_US; 421005435)").deviceType, "mobile");
+  assert.equal(platform.parse("Mozilla/5.0 (Linux; Android 13; SM-S901B Build/TP1A.220624.014; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/110.0.5481.153 Mobile Safari/537.36 [Pinterest/Android]").deviceType, "mobile");
+  assert.notEqual(platform.parse("Telegram-Android/10.0.5 (Google Pixel 7; Android 13; SDK 33; AVERAGE)").deviceType, "tablet");
+});
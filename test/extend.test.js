@@ -0,0 +1,77 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var path = require("path");
+
+var galaxy = "Mozilla/5.0 (Linux; Android 13; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Mobile Safari/537.36";
+
+function load() {
+  delete require.cache[path.join(__dirname, "..", "platform.js")];
+  delete require.cache[path.join(__dirname, "..", "platform.devices.js")];
+  return require("../platform");
+}
+
+function android(model) {
+  return "Mozilla/5.0 (Linux; Android 13; " + model + ") AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Mobile Safari/537.36";
+}
+
+test("loads the device data pack in Node", function () {
+  var platform = load();
+  assert.equal(String(platform.parse(galaxy)), "Chrome Mobile 116.0.0.0 on Samsung Galaxy S23 Ultra (Android 13)");
+  assert.equal(platform.parse(android("CPH2251")).product, "Oppo Reno6 5G");
+  assert.equal(platform.parse(android("moto g stylus")).manufacturer, "Motorola");
+  assert.equal(platform.parse(android("Redmi Note 8 Pro")).product, "Xiaomi Redmi Note 8 Pro");
+  assert.equal(platform.parse(android("SM-T970").replace(" Mobile", "")).name, "Android Browser");
+  assert.equal(platform.parse(android("K"), {model: "Pixel 7", platform: "Android"}).manufacturer, "Google");
+});
+
+test("reports the brand label for bare brand tokens", function () {
+  var platform = load();
+  assert.equal(platform.parse(android("motorola one")).manufacturer, "Motorola");
+  assert.equal(platform.parse(android("OnePlus 8")).manufacturer, "OnePlus");
+  assert.equal(String(platform.parse(android("HUAWEI VOG-L29"))), "Chrome Mobile 116.0.0.0 on Huawei VOG-L29 (Android 13)");
+  platform.setDevices({});
+  assert.equal(platform.parse(android("motorola one")).manufacturer, "Motorola");
+  assert.equal(platform.parse(android("OnePlus 8")).manufacturer, "OnePlus");
+  assert.equal(platform.parse(android("HUAWEI VOG-L29")).manufacturer, "Huawei");
+  assert.equal(String(platform.parse(android("HUAWEI VOG-L29"))), "Chrome Mobile 116.0.0.0 on Huawei VOG-L29 (Android 13)");
+});
+
+test("detects brands without the data pack", function () {
+  var platform = load();
+  platform.setDevices({});
+  assert.equal(platform.parse(android("Pixel 7")).manufacturer, "Google");
+  assert.equal(platform.parse(galaxy).manufacturer, "Samsung");
+  assert.equal(platform.parse(galaxy).product, "SM-S918B");
+  assert.equal(platform.parse(android("moto g stylus")).manufacturer, "Motorola");
+  assert.equal(platform.parse(android("Redmi Note 8 Pro")).manufacturer, "Xiaomi");
+});
+
+test("searches extended rules before the data pack", function () {
+  var platform = load();
+  platform.extend({products: [{label: "Custom SM-S918B", pattern: "SM-S918B"}]});
+  platform.setDevices(require("../platform.devices"));
+  assert.equal(platform.parse(galaxy).product, "Custom SM-S918B");
+});
+
+test("lets later extend calls win", function () {
+  var platform = load();
+  platform.extend({browsers: [{label: "Ladybird", pattern: "Ladybird"}]});
+  platform.extend({browsers: [{label: "Ladybird Nightly", pattern: "Ladybird"}]});
+  assert.equal(platform.parse("Mozilla/5.0 (X11; Linux x86_64) Ladybird/1.0").name, "Ladybird Nightly");
+});
+
+test("rejects invalid rules without changing the tables", function () {
+  var platform = load();
+  var before = String(platform.parse(galaxy));
+  assert.throws(function () {
+    platform.extend({browsers: [{label: "X", pattern: "("}]});
+  }, SyntaxError);
+  assert.throws(function () {
+    platform.extend({products: ["Fine", {pattern: "no label"}]});
+  }, TypeError);
+  assert.throws(function () {
+    platform.setDevices({products: [null]});
+  }, TypeError);
+  assert.equal(String(platform.parse(galaxy)), before);
+});
@@ -0,0 +1,71 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var chromeWindows = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+var chromeAndroid = "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36";
+var chromeMac = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+test("takes the full version from the hinted brand list", function () {
+  var result = platform.parse(chromeWindows, {
+    fullVersionList: [{brand: "Not_A Brand", version: "8.0.0.0"}, {brand: "Google Chrome", version: "120.0.6099.129"}]
+  });
+  assert.equal(result.version, "120.0.6099.129");
+  assert.deepEqual(result.hints, ["version"]);
+});
+
+test("reads Sec-CH-UA headers case-insensitively", function () {
+  var result = platform.parse(chromeMac, {
+    "sec-ch-ua-platform": "\"macOS\"",
+    "Sec-CH-UA-Platform-Version": "\"14.1.0\"",
+    "Sec-CH-UA-Full-Version-List": "\"Not_A Brand\";v=\"8.0.0.0\", \"Google Chrome\";v=\"120.0.6099.129\""
+  });
+  assert.equal(result.version, "120.0.6099.129");
+  assert.equal(result.os.family, "OS X");
+  assert.equal(result.os.version, "14.1");
+});
+
+test("maps hinted Windows platform versions to marketing names", function () {
+  assert.equal(String(platform.parse(chromeWindows, {platform: "Windows", platformVersion: "15.0.0"}).os), "Windows 11 64-bit");
+  assert.equal(String(platform.parse(chromeWindows, {platform: "Windows", platformVersion: "0.3.0"}).os), "Windows 8.1 64-bit");
+});
+
+test("trims trailing zero parts from hinted OS versions", function () {
+  var result = platform.parse(chromeAndroid, {platform: "Android", platformVersion: "14.0.0"});
+  assert.equal(result.os.version, "14");
+  assert.equal(String(result.os), "Android 14");
+});
+
+test("resolves the hinted model to a product", function () {
+  var result = platform.parse(chromeAndroid, {platform: "Android", model: "Pixel 8"});
+  assert.equal(result.product, "Pixel 8");
+  assert.ok(result.hints.indexOf("product") > -1);
+});
+
+test("ignores malformed brand entries", function () {
+  var result = platform.parse(chromeWindows, {brands: [null, {brand: 1}, "Chrome", {brand: "Chromium", version: "120"}], platform: "Windows"});
+  assert.equal(result.name, "Chrome");
+  assert.equal(result.version, "120.0.0.0");
+});
+
+test("accepts a Headers-like object", function () {
+  var headers = {
+    get: function (name) {
+      return name.toLowerCase() == "sec-ch-ua-bitness" ? "\"32\"" : null;
+    }
+  };
+  assert.equal(platform.parse(chromeWindows, headers).os.architecture, 32);
+});
+
+test("applies a lone model or bitness hint", function () {
+  var result = platform.parse(chromeAndroid, {model: "Pixel 7"});
+  assert.equal(result.product, "Pixel 7");
+  assert.ok(result.hints.indexOf("product") > -1);
+  assert.equal(platform.parse(chromeWindows, {bitness: "32"}).os.architecture, 32);
+});
+
+test("detects header maps by their Sec-CH-UA keys", function () {
+  var result = platform.parse(chromeWindows, {"sec-ch-ua-bitness": "\"32\""});
+  assert.equal(result.os.architecture, 32);
+});
@@ -0,0 +1,40 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var chrome = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/86.0.4240.198 Safari/537.36";
+
+test("serializes every schema 1 field", function () {
+  assert.deepEqual(JSON.parse(JSON.stringify(platform.parse(chrome))), {
+    schema: 1,
+    ua: chrome,
+    browser: {name: "Chrome", version: "86.0.4240.198"},
+    engine: {name: "Blink", version: "86.0.4240.198"},
+    os: {family: "Windows", version: "10", architecture: 64},
+    device: {type: "desktop", product: null, manufacturer: null, desktopMode: false},
+    prerelease: null,
+    webview: false,
+    hostApp: null,
+    bot: {isBot: false, category: null, name: null, version: null},
+    hints: []
+  });
+});
+
+test("includes the bot", function () {
+  assert.deepEqual(platform.parse("Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)").toJSON().bot, {isBot: true, category: "search", name: "Googlebot", version: "2.1"});
+});
+
+test("includes the hinted fields", function () {
+  var result = platform.parse(chrome, {platform: "Windows", platformVersion: "15.0.0"});
+  assert.deepEqual(result.toJSON().hints, ["os"]);
+  assert.equal(result.toJSON().os.version, "11");
+});
+
+test("reads the Gecko version past the frozen rv:109.0", function () {
+  var esr = platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/115.0");
+  assert.equal(esr.layoutVersion, "115.0");
+  assert.deepEqual(esr.toJSON().engine, {name: "Gecko", version: "115.0"});
+  assert.equal(platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/109.0").layoutVersion, "109.0");
+  assert.equal(platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0").layoutVersion, "120.0");
+});
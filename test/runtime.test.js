@@ -0,0 +1,46 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+test("describes Node.js when loaded in Node", function () {
+  assert.equal(platform.name, "Node.js");
+  assert.equal(platform.version, process.versions.node);
+  assert.equal(platform.major, Number(process.versions.node.split(".")[0]));
+});
+
+test("detects Deno", function () {
+  var result = platform.parse({Deno: {version: {deno: "1.37.0"}, build: {os: "linux", arch: "x86_64"}}});
+  assert.equal(result.name, "Deno");
+  assert.equal(result.version, "1.37.0");
+  assert.equal(String(result), "Deno 1.37.0 on Linux 64-bit");
+});
+
+test("detects Bun", function () {
+  var result = platform.parse({Bun: {version: "1.0.3"}, process: {platform: "linux", arch: "x64"}});
+  assert.equal(String(result), "Bun 1.0.3 on Linux 64-bit");
+});
+
+test("detects React Native and reads its version from Hermes", function () {
+  function hermes(release) {
+    return {getRuntimeProperties: function () {
+      return {"OSS Release Version": release};
+    }};
+  }
+  assert.equal(String(platform.parse({navigator: {product: "ReactNative"}, HermesInternal: hermes("for RN 0.72.4")})), "React Native 0.72.4 (Hermes)");
+  assert.equal(String(platform.parse({navigator: {product: "ReactNative"}, HermesInternal: hermes("0.12.0")})), "React Native (Hermes 0.12.0)");
+  assert.equal(platform.parse({navigator: {product: "ReactNative"}}).os.family, null);
+});
+
+test("detects edge runtimes", function () {
+  assert.equal(platform.parse({navigator: {userAgent: "Cloudflare-Workers"}}).name, "Cloudflare Workers");
+  assert.equal(platform.parse({EdgeRuntime: "edge-runtime"}).name, "Vercel Edge");
+});
+
+test("adds the worker type to the description", function () {
+  var context = {navigator: {userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Safari/537.36"}};
+  context[Symbol.toStringTag] = "ServiceWorkerGlobalScope";
+  assert.equal(String(platform.parse(context)), "Chrome 116.0.0.0 (service worker) on Windows 10 64-bit");
+  context[Symbol.toStringTag] = "DedicatedWorkerGlobalScope";
+  assert.equal(String(platform.parse(context)), "Chrome 116.0.0.0 (web worker) on Windows 10 64-bit");
+});
@@ -0,0 +1,79 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var chrome = platform.parse("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/86.0.4240.198 Safari/537.36");
+var safari = platform.parse("Mozilla/5.0 (iPhone; CPU iPhone OS 13_2_3 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0.3 Mobile/15E148 Safari/604.1");
+
+test("splits versions into major, minor and patch", function () {
+  assert.equal(chrome.major, 86);
+  assert.equal(chrome.minor, 0);
+  assert.equal(chrome.patch, 4240);
+  assert.equal(chrome.os.major, 10);
+  assert.equal(chrome.os.minor, null);
+});
+
+test("compares versions with comparators", function () {
+  assert.equal(chrome.satisfies({Chrome: ">=86"}), true);
+  assert.equal(chrome.satisfies({Chrome: ">86"}), true);
+  assert.equal(chrome.satisfies({Chrome: "<86"}), false);
+  assert.equal(chrome.satisfies({Chrome: "86"}), true);
+  assert.equal(chrome.satisfies({Chrome: "86.x"}), true);
+  assert.equal(chrome.satisfies({Chrome: "*"}), true);
+  assert.equal(chrome.satisfies("Chrome >=80 <90"), true);
+  assert.equal(chrome.satisfies("Chrome >=80 <86"), false);
+});
+
+test("supports caret and tilde ranges", function () {
+  assert.equal(chrome.satisfies({Chrome: "^86"}), true);
+  assert.equal(chrome.satisfies({Chrome: "^85"}), false);
+  assert.equal(chrome.satisfies({Chrome: "^90"}), false);
+  assert.equal(chrome.satisfies({Chrome: "~86.0"}), true);
+  assert.equal(chrome.satisfies({Chrome: "~86.1"}), false);
+  assert.equal(chrome.satisfies({Chrome: "~90"}), false);
+  assert.equal(safari.satisfies({iOS: "~13.2"}), true);
+  assert.equal(safari.satisfies({iOS: "~13.3"}), false);
+});
+
+test("rejects malformed ranges", function () {
+  assert.equal(chrome.satisfies({Chrome: ">=abc"}), false);
+  assert.equal(chrome.satisfies({Chrome: "86.x.1"}), false);
+  assert.equal(chrome.satisfies({Chrome: ">=86", Firefox: "latest"}), false);
+});
+
+test("requires a browser clause to name the current browser", function () {
+  assert.equal(safari.satisfies({Chrome: ">=86", iOS: ">=13"}), false);
+  assert.equal(safari.satisfies({Safari: ">=13", iOS: ">=13"}), true);
+  assert.equal(safari.satisfies({Safari: ">=13", iOS: ">=14"}), false);
+  assert.equal(chrome.satisfies("Firefox >=78, Chrome >=86"), true);
+});
+
+test("treats OS clauses as alternatives", function () {
+  assert.equal(safari.satisfies({iOS: ">=13"}), true);
+  assert.equal(safari.satisfies({iPadOS: ">=13"}), true);
+  assert.equal(safari.satisfies({Android: ">=10"}), false);
+  assert.equal(safari.satisfies("Android >=10 or iOS >=13"), true);
+  assert.equal(chrome.satisfies({Windows: ">=10", macOS: ">=11"}), true);
+  assert.equal(chrome.satisfies({}), false);
+});
+
+test("matches every Windows release by its version", function () {
+  var windows7 = platform.parse("Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Safari/537.36");
+  var windowsXP = platform.parse("Mozilla/5.0 (Windows NT 5.1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/49.0.2623.112 Safari/537.36");
+  assert.equal(windows7.satisfies({Windows: "*"}), true);
+  assert.equal(windows7.satisfies("Windows <= 8"), true);
+  assert.equal(windows7.satisfies({Windows: ">=7"}), true);
+  assert.equal(windows7.satisfies({Windows: ">=8"}), false);
+  assert.equal(windowsXP.satisfies("Windows <= 8"), true);
+  assert.equal(windowsXP.satisfies({Windows: ">=7"}), false);
+});
+
+test("treats a string query as a union of clauses", function () {
+  var result = platform.parse("Mozilla/5.0 (iPhone; CPU iPhone OS 14_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/13.0.5 Mobile/15E148 Safari/604.1");
+  assert.equal(result.satisfies("Safari >= 13.0.4 or iOS >= 15"), true);
+  assert.equal(result.satisfies("Safari >= 13.0.4, iOS >= 15"), true);
+  assert.equal(result.satisfies("Safari >= 14 or iOS >= 15"), false);
+  assert.equal(result.satisfies({Safari: ">=13.0.4", iOS: ">=15"}), false);
+  assert.equal(result.satisfies("Safari >= 13 or iOS 15.x.1"), false);
+});
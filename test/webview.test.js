@@ -0,0 +1,34 @@
+"use strict";
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var platform = require("../platform");
+
+var iOS = "Mozilla/5.0 (iPhone; CPU iPhone OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) ";
+
+test("detects an Android WebView", function () {
+  var result = platform.parse("Mozilla/5.0 (Linux; Android 13; Pixel 7 Build/TQ3A.230805.001; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/116.0.5845.114 Mobile Safari/537.36");
+  assert.equal(result.webview, true);
+  assert.equal(result.hostApp, null);
+});
+
+test("detects an iOS WKWebView", function () {
+  var result = platform.parse(iOS + "Mobile/15E148");
+  assert.equal(result.webview, true);
+  assert.equal(result.hostApp, null);
+});
+
+test("names the app hosting an in-app browser", function () {
+  assert.deepEqual(platform.parse(iOS + "Mobile/15E148 Instagram 290.0.0.13.76 (iPhone14,2; iOS 16_5; en_US; en; scale=3.00; 1170x2532; 489720907)").hostApp, {name: "Instagram", version: "290.0.0.13.76"});
+  assert.deepEqual(platform.parse("Mozilla/5.0 (Linux; Android 13; SM-S918B Build/TP1A.220624.014; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/116.0.5845.163 Mobile Safari/537.36 [FB_IAB/FB4A;FBAV/430.0.0.23.113;]").hostApp, {name: "Facebook", version: "430.0.0.23.113"});
+  assert.deepEqual(platform.parse(iOS + "Mobile/15E148 MicroMessenger/8.0.40(0x18002831) NetType/WIFI Language/zh_CN").hostApp, {name: "WeChat", version: "8.0.40"});
+  assert.deepEqual(platform.parse(iOS + "Mobile/15E148 Snapchat").hostApp, {name: "Snapchat", version: null});
+});
+
+test("leaves standalone browsers alone", function () {
+  var safari = platform.parse(iOS + "Version/16.5 Mobile/15E148 Safari/604.1");
+  var chrome = platform.parse("Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/116.0.0.0 Mobile Safari/537.36");
+  assert.equal(safari.webview, false);
+  assert.equal(safari.hostApp, null);
+  assert.equal(chrome.webview, false);
+  assert.equal(chrome.toJSON().webview, false);
+});